@@ -1,6 +1,8 @@
+const {requestPriorities} = require("./Globals");
+
 /**
  * The ApiInterface is the class that does the bulk lifting in converting the data in a task, into the data a service uses.
- * At present the only two services supported are Trello ({@link TrelloInterface} and the GCI site ({@link GoogleInterface})
+ * Each service is registered with the {@link ServiceRegistry}, such as Trello ({@link TrelloInterface}) and the GCI site ({@link GoogleInterface})
  *
  * The basic class for an ApiInterface, with no methods implemented
  */
@@ -25,6 +27,19 @@ class ApiInterface {
 
     }
 
+    /**
+     * Load a single task from the service again, by its ID on the service.
+     * Only entries that would be loaded by {@link ApiInterface#loadAllTasks()} are returned,
+     * so one that has been deleted or moved out of the tasks being synced counts as missing.
+     *
+     * @param task {Task} The task to load, which need only hold its ID's
+     * @param [priority] {number} How urgent the requests are, from {@link requestPriorities}. Defaults to normal
+     * @return {Promise<Task|undefined>} A new task holding the entry, or undefined if it has no ID on the service or the entry is missing
+     */
+    loadTask(task, priority) {
+        throw new Error("Method Unimplemented");
+    }
+
     /**
      * Write every task in the task list into the service.
      *
@@ -32,7 +47,8 @@ class ApiInterface {
      * If this fails the interface will instead fall back and create a new entry in that service and populate it with the values
      * After this method the service ID on the task will point to whatever entry was updated, new or pre-existing
      *
-     * Note, if an entry is created rather than updated this will be reflected in the relevant flag field on the Task.
+     * Note, if an entry is created rather than updated this will be reflected by the ID field for the service on the Task changing.
+     * The requests are made at bulk priority, so that changes seen while monitoring can be pushed in the meantime.
      *
      * @param taskList {TaskList} The list to write to the service
      * @return {Promise<TaskList>} A Promise containing the (potentially updated) task list
@@ -40,7 +56,7 @@ class ApiInterface {
     writeAllTasks(taskList) {
         return Promise.all( // Group all the following promises into one
             taskList.getTasks() // Get all the tasks
-                .map(task => this.writeTask(task)) // Convert each task into a map that will updated the task
+                .map(task => this.writeTask(task, requestPriorities.BULK)) // Convert each task into a map that will updated the task
         ).then(() => taskList); // Make the return type the taskList
     }
 
@@ -52,12 +68,27 @@ class ApiInterface {
      * Also similarly, after this method the task will point to whatever entry was updated
      *
      * @param task {Task} The task to write
+     * @param [priority] {number} How urgent the requests are, from {@link requestPriorities}. Defaults to normal
      * @return {Promise<Task>} The task that was written
      */
-    writeTask(task) {
+    writeTask(task, priority) {
         throw new Error("Method Unimplemented");
     }
 
+    /**
+     * Writes only the given fields of a task to the service.
+     *
+     * By default this simply writes the whole task, but services that can update individual fields should override it.
+     *
+     * @param task {Task} The task to write
+     * @param alteredFields {string[]} The fields that were altered
+     * @param [priority] {number} How urgent the requests are, from {@link requestPriorities}. Defaults to normal
+     * @return {Promise} A promise that finishes when the fields are written
+     */
+    writeFields(task, alteredFields, priority) {
+        return this.writeTask(task, priority);
+    }
+
     /**
      * Deletes a single entry from the service.
      *
@@ -66,9 +97,10 @@ class ApiInterface {
      * The deletion will not be propagated over to other services
      *
      * @param task {Task} The task to delete
+     * @param [priority] {number} How urgent the requests are, from {@link requestPriorities}. Defaults to normal
      * @return {Promise<>} A promise that with finish when the task is deleted
      */
-    deleteTask(task) {
+    deleteTask(task, priority) {
         throw new Error("Method Unimplemented");
     }
 
@@ -77,9 +109,10 @@ class ApiInterface {
      * This is used to ensure that the task can be correctly matched across all services
      *
      * @param task {Task} The task to update
+     * @param [priority] {number} How urgent the requests are, from {@link requestPriorities}. Defaults to normal
      * @return {Promise<Task>} The task once it is updated
      */
-    updateOtherId(task) {
+    updateOtherId(task, priority) {
         throw new Error("Method Unimplemented");
     }
 
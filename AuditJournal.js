@@ -0,0 +1,181 @@
+const fs = require("fs");
+const {fields, idFields} = require("./Globals");
+const {journalPath} = require("./Config.js").config;
+const metrics = require("./Metrics.js");
+
+/**
+ * Fields that change on their own, and so would only be noise in the journal
+ * @type {string[]}
+ */
+const ignoredFields = [
+    fields.LAST_MODIFIED,
+    fields.CLAIMED_COUNT,
+    fields.AVAILABLE_COUNT,
+    fields.COMPLETED_COUNT
+];
+
+/**
+ * A single change to a field
+ * @typedef {{field: string, before: *, after: *}} FieldChange
+ *
+ * A single entry in the journal.
+ * Events are changes seen on a service, while writes are changes the syncer made to a service.
+ *
+ * @typedef {{
+ *      time: string
+ *      type: string
+ *      service: string
+ *      action: string
+ *      actor: (string|null)
+ *      source: (string|null)
+ *      ids: Object.<string, *>
+ *      name: string
+ *      changes: FieldChange[]
+ * }} JournalEntry
+ */
+
+/**
+ * An append-only record of every change the syncer sees or makes.
+ *
+ * Each entry is a single line of JSON, appended to the file given by `journalPath` in the config.
+ * Entries are never altered or removed once written, so the file can be trusted to show who changed what and when.
+ */
+class AuditJournal {
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.lastWrite = Promise.resolve();
+    }
+
+    /**
+     * Record a change seen on a service
+     *
+     * @param service {string} The name of the service the change was seen on
+     * @param action {string} One of created, deleted or updated
+     * @param actor {string|null} Who made the change, if the service says
+     * @param task {Task} The task after the change
+     * @param [changes] {FieldChange[]} The fields that were changed
+     * @return {Promise<void>} A promise that finishes when the entry is written
+     */
+    recordEvent(service, action, actor, task, changes) {
+        return this._append("event", service, action, actor, null, task, changes);
+    }
+
+    /**
+     * Record a change the syncer made to a service
+     *
+     * @param service {string} The name of the service that was written to
+     * @param action {string} One of created, deleted, updated or linked
+     * @param source {string|null} The name of the service the change came from, or null if it wasn't from a single service
+     * @param task {Task} The task that was written
+     * @param [changes] {FieldChange[]} The fields that were changed
+     * @return {Promise<void>} A promise that finishes when the entry is written
+     */
+    recordWrite(service, action, source, task, changes) {
+        metrics.increment("tasksyncer_task_writes_total", {action: action, from: source || "sync", to: service});
+        return this._append("write", service, action, "syncer", source, task, changes);
+    }
+
+    /**
+     * Works out the fields that differ between two versions of a task
+     *
+     * @param before {Object.<string, *>|undefined} The fields before the change, or undefined if there was nothing before
+     * @param after {Object.<string, *>} The fields after the change
+     * @param [onlyFields] {string[]} Only include these fields
+     * @return {FieldChange[]} The fields that differ
+     */
+    changesBetween(before, after, onlyFields) {
+        let changes = [];
+        for (let field of onlyFields || Object.values(fields)) {
+            if (ignoredFields.includes(field)) {
+                continue;
+            }
+            let beforeValue = before ? before[field] : null;
+            let afterValue = after[field];
+            if (JSON.stringify(beforeValue) !== JSON.stringify(afterValue)) {
+                changes.push({
+                    field: field,
+                    before: beforeValue === undefined ? null : beforeValue,
+                    after: afterValue === undefined ? null : afterValue
+                });
+            }
+        }
+        return changes;
+    }
+
+    /**
+     * Read every entry in the journal matching the query
+     *
+     * @param [query] {{task: (string|undefined), since: (Date|undefined), until: (Date|undefined)}}
+     *      task is matched against the name and every ID of the task.
+     *      since and until are both inclusive
+     * @return {Promise<JournalEntry[]>} The matching entries, oldest first
+     */
+    query(query) {
+        query = query || {};
+        return Promise.resolve(this.lastWrite)
+            .then(() => fs.promises.readFile(this.filePath, "utf8"))
+            .catch(reason => {
+                if (reason.code === "ENOENT") {
+                    return "";
+                }
+                throw reason;
+            })
+            .then(contents => contents.split("\n")
+                .filter(line => line.trim() !== "")
+                .map(line => JSON.parse(line))
+                .filter(entry => this._matches(entry, query)));
+    }
+
+    /**
+     * @param entry {JournalEntry}
+     * @param query {{task: (string|undefined), since: (Date|undefined), until: (Date|undefined)}}
+     * @return {boolean} True if the entry matches the query
+     * @private
+     */
+    _matches(entry, query) {
+        let time = Date.parse(entry.time);
+        if (query.since && time < query.since.getTime()) {
+            return false;
+        }
+        if (query.until && time > query.until.getTime()) {
+            return false;
+        }
+        if (query.task !== undefined) {
+            let values = [entry.name, ...Object.values(entry.ids)];
+            return values.some(value => value !== null && String(value) === query.task);
+        }
+        return true;
+    }
+
+    /**
+     * Append an entry to the journal.
+     * Entries are queued behind each other so that they are written in the order they happened.
+     *
+     * @return {Promise<void>} A promise that finishes when the entry is written
+     * @private
+     */
+    _append(type, service, action, actor, source, task, changes) {
+        let ids = {};
+        for (let idField of idFields) {
+            ids[idField] = task.getField(idField);
+        }
+        let entry = {
+            time: new Date().toISOString(),
+            type: type,
+            service: service,
+            action: action,
+            actor: actor || null,
+            source: source,
+            ids: ids,
+            name: task.getField(fields.NAME),
+            changes: changes || []
+        };
+        this.lastWrite = this.lastWrite
+            .catch(() => undefined) // A failed write should not block later ones
+            .then(() => fs.promises.appendFile(this.filePath, JSON.stringify(entry) + "\n", "utf8"))
+            .catch(reason => console.error(`Could not write to the journal '${this.filePath}': ${reason}`));
+        return this.lastWrite;
+    }
+}
+
+module.exports = new AuditJournal(journalPath || "journal.jsonl");
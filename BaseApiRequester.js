@@ -3,12 +3,94 @@
  * In particular implements rate limiting to ensure that calls don't fail due to being rate limited
  */
 const request = require("request-promise");
+const {retries} = require("./Config.js").config;
+const {requestPriorities} = require("./Globals");
+const metrics = require("./Metrics.js");
+const health = require("./Health.js");
 
+/**
+ * The retry settings used for anything not given in the `retries` section of the config.
+ * The delays are in seconds
+ * @type {{maxAttempts: number, baseDelay: number, maxDelay: number}}
+ */
+const defaultRetries = {
+    maxAttempts: 4,
+    baseDelay: 1,
+    maxDelay: 60
+};
+
+/**
+ * The methods that can safely be sent again after failing part way through, as repeating them has no further effect
+ * @type {string[]}
+ */
+const idempotentMethods = ["GET", "HEAD", "OPTIONS", "PUT", "DELETE"];
+
+/**
+ * The network errors that are likely to go away if the request is tried again
+ * @type {string[]}
+ */
+const transientErrors = ["ECONNRESET", "ECONNREFUSED", "ETIMEDOUT", "ESOCKETTIMEDOUT", "EPIPE", "EAI_AGAIN"];
+
+/**
+ * The share of each service's limit that can be sent in a burst, with the rest spread out over the period
+ * @type {number}
+ */
+const burstShare = 0.1;
+
+/**
+ * A request waiting in the queue
+ *
+ * @typedef {{
+ *      payload: Object
+ *      resolve: Function
+ *      reject: Function
+ *      attempt: number
+ *      priority: number
+ * }} QueuedRequest
+ */
+
+/**
+ * Requests are sent through a token bucket, which holds a small burst of tokens and refills steadily with the rest of
+ * `requestsLimit` over each `period` seconds. Each request takes a token, so a full bucket plus everything added
+ * to it over any period never adds up to more than the limit, while short bursts still go out straight away. No more than `maxConcurrent` requests are ever waiting on a response at once.
+ *
+ * Each priority in {@link requestPriorities} has its own lane, and the next request is always taken from
+ * the most urgent lane that has one, so a change made by a person isn't stuck behind a long bulk write.
+ */
 class BaseApiRequester {
-    constructor(requestsLimit) {
-        this.requestsQueue = [];
-        this.requestsLimit = requestsLimit;
-        this.requestsCount = 0;
+    /**
+     * @param requestsLimit {number} The number of requests the service allows in each period
+     * @param period {number} The length of the period, in seconds
+     * @param maxConcurrent {number} The most requests that can be waiting on a response at once
+     */
+    constructor(requestsLimit, period, maxConcurrent) {
+        /**
+         * The requests waiting to be sent, with one lane for each priority
+         * @type {QueuedRequest[][]}
+         */
+        this.lanes = Object.values(requestPriorities).map(() => []);
+        this.maxConcurrent = maxConcurrent;
+        /**
+         * The most tokens the bucket can hold
+         * @type {number}
+         */
+        this.burstSize = Math.max(1, Math.floor(requestsLimit * burstShare));
+        /**
+         * How many tokens are added to the bucket each millisecond
+         * @type {number}
+         */
+        this.refillRate = (requestsLimit - this.burstSize) / (period * 1000);
+        this.tokens = this.burstSize;
+        this.lastRefill = Date.now();
+        this.inFlight = 0;
+        this.retries = Object.assign({}, defaultRetries, retries);
+        /**
+         * The time, in milliseconds since the epoch, before which no requests are made as the API asked us to wait
+         * @type {number}
+         */
+        this.pausedUntil = 0;
+        this.resumeTimeout = null;
+        health.addRequester(this);
     }
 
     /**
@@ -20,63 +102,246 @@ class BaseApiRequester {
     }
 
     /**
-     * Stops the background resetting of request counts.
+     * Stops any planned processing of the queue, such as when waiting for the bucket to refill.
+     * Requests already sent still finish.
      */
     stop() {
-        clearInterval(this.interval)
+        clearTimeout(this.resumeTimeout);
+        this.resumeTimeout = null;
+    }
+
+    /**
+     * Send as many requests as the bucket and the concurrency limit allow, most urgent first.
+     * If the bucket runs dry, processing carries on once it has refilled enough for the next request.
+     * Nothing is processed while the queue is paused.
+     */
+    processRequests() {
+        let wait = this.pausedUntil - Date.now();
+        if (wait > 0) {
+            this._resumeAfter(wait);
+            return;
+        }
+        this._refill();
+        while (this.inFlight < this.maxConcurrent) {
+            let lane = this.lanes.find(lane => lane.length !== 0);
+            if (!lane) {
+                return;
+            }
+            if (this.tokens < 1) {
+                this._resumeAfter(Math.ceil((1 - this.tokens) / this.refillRate));
+                return;
+            }
+            this.tokens -= 1;
+            this._send(lane.shift());
+        }
+    }
+
+    /**
+     * Send a request, retrying it if it fails and is worth trying again
+     *
+     * @param queued {QueuedRequest} The request to send
+     * @private
+     */
+    _send(queued) {
+        let {payload, resolve, reject, attempt} = queued;
+        let labels = {requester: this.getName()};
+        let started = Date.now();
+        this.inFlight += 1;
+        metrics.increment("tasksyncer_requests_total", labels);
+        this._updateQueueMetrics();
+        request(Object.assign({}, payload, {resolveWithFullResponse: true}))
+            .then(response => {
+                metrics.observe("tasksyncer_request_duration_seconds", labels, (Date.now() - started) / 1000);
+                this._checkRateLimit(response.headers);
+                resolve(payload.resolveWithFullResponse ? response : response.body);
+            })
+            .catch(reason => {
+                metrics.increment("tasksyncer_request_failures_total", Object.assign({
+                    status: reason.statusCode || (reason.cause && reason.cause.code) || "unknown"
+                }, labels));
+                let delay = this._getRetryDelay(payload, reason, attempt);
+                if (delay !== null) {
+                    console.log(`Call from ${this.getName()} (${payload.uri}) failed: ${reason}. ` +
+                        `Retrying in ${(delay / 1000).toFixed(1)} second(s), attempt ${attempt + 1} of ${this.retries.maxAttempts}`);
+                    setTimeout(() => {
+                        // Go back to the front of the lane, as the request was already waited on once
+                        this.lanes[queued.priority].unshift(Object.assign(queued, {attempt: attempt + 1}));
+                        this.processRequests();
+                        this._updateQueueMetrics();
+                    }, delay);
+                    return;
+                }
+                console.log(`Call from ${this.getName()} (${payload.uri}) failed: ${reason}`);
+                reject(reason);
+            })
+            .then(() => {
+                this.inFlight -= 1;
+                this.processRequests();
+                this._updateQueueMetrics();
+            });
     }
 
     /**
-     * Start the background resetting of request counts;
+     * @return {number} The number of requests waiting to be sent, across every priority
      */
-    start() {
-        this.interval = setInterval(this.resetRateLimit.bind(this), 10000);
+    getQueueLength() {
+        return this.lanes.reduce((total, lane) => total + lane.length, 0);
     }
 
     /**
-     * reset the number of requests made back  to zero.
-     * This allows requests to made again.
+     * Update the gauges showing how many requests are waiting, and how many are being sent
+     * @private
      */
-    resetRateLimit() {
-        if (this.requestsCount !== 0) {
-            // console.log(`Resetting requests count for ${this.getName()}`)
+    _updateQueueMetrics() {
+        let labels = {requester: this.getName()};
+        metrics.set("tasksyncer_request_queue_length", labels, this.getQueueLength());
+        metrics.set("tasksyncer_requests_in_flight", labels, this.inFlight);
+    }
+
+    /**
+     * Top up the bucket with the tokens added since it was last refilled, up to its burst size
+     * @private
+     */
+    _refill() {
+        let now = Date.now();
+        this.tokens = Math.min(this.burstSize, this.tokens + (now - this.lastRefill) * this.refillRate);
+        this.lastRefill = now;
+    }
+
+    /**
+     * Works out whether a failed request should be tried again, and if so how long to wait first.
+     *
+     * A 429 (Too Many Requests) is always tried again, as the API turned it away without acting on it,
+     * and the whole queue is paused so that nothing else is sent in the meantime.
+     * GitHub sends a 403 rather than a 429 when the limit runs out, so a 403 saying how long to wait is treated the same.
+     * Server errors and dropped connections are only tried again for idempotent requests,
+     * as the API may have acted on them before failing.
+     *
+     * @param payload {Object} The request that failed
+     * @param reason {Error} Why it failed
+     * @param attempt {number} How many times the request has been made, including this one
+     * @return {number|null} How long to wait in milliseconds, or null if it shouldn't be tried again
+     * @private
+     */
+    _getRetryDelay(payload, reason, attempt) {
+        if (attempt >= this.retries.maxAttempts) {
+            return null;
         }
-        this.requestsCount = 0;
-        this.processRequests();
+        let headers = reason.response ? reason.response.headers : {};
+        let headerDelay = this._getHeaderDelay(headers);
+        let delay = headerDelay !== null ? headerDelay : this._getBackoff(attempt);
+
+        if (reason.statusCode === 429 || (reason.statusCode === 403 && headerDelay !== null)) {
+            this._pause(delay);
+            return delay;
+        }
+        if (!idempotentMethods.includes((payload.method || "GET").toUpperCase())) {
+            return null;
+        }
+        if (reason.statusCode >= 500 || (reason.cause && transientErrors.includes(reason.cause.code))) {
+            return delay;
+        }
+        return null;
     }
 
     /**
-     * Attempt to process as many requests as possible until the limit is reached
+     * @param attempt {number} How many times the request has been made so far
+     * @return {number} How long to wait before the next attempt, in milliseconds.
+     *      This doubles with each attempt, up to the maximum, and then somewhere in the upper half of that is picked at random
+     *      so that many requests failing at once don't all come back at once.
+     * @private
      */
-    processRequests() {
-        while (this.requestsCount <= this.requestsLimit && this.requestsQueue.length !== 0) {
-            let [payload, resolve, reject] = this.requestsQueue.shift();
-            request(payload)
-                .then(resolve)
-                .catch(reason => {
-                    console.log(`Call from ${this.getName()} (${payload.uri}) failed: ${reason}`);
-                    if (reject) {
-                        return reject(reason);
-                    } else {
-                        return reason;
-                    }
-                });
-            this.requestsCount += 1;
+    _getBackoff(attempt) {
+        let delay = Math.min(this.retries.maxDelay, this.retries.baseDelay * Math.pow(2, attempt - 1)) * 1000;
+        return delay / 2 + Math.random() * delay / 2;
+    }
+
+    /**
+     * Reads how long the API has asked us to wait, from either the `Retry-After` header
+     * or the `X-RateLimit-Remaining` and `X-RateLimit-Reset` headers once the limit has run out
+     *
+     * @param headers {Object.<string, string>} The response headers, with lower case names
+     * @return {number|null} How long to wait in milliseconds, or null if the API didn't say
+     * @private
+     */
+    _getHeaderDelay(headers) {
+        let retryAfter = headers["retry-after"];
+        if (retryAfter !== undefined) {
+            if (/^\d+$/.test(retryAfter.trim())) { // Either a number of seconds, or a date
+                return parseInt(retryAfter) * 1000;
+            }
+            let date = Date.parse(retryAfter);
+            if (!isNaN(date)) {
+                return Math.max(0, date - Date.now());
+            }
+        }
+        if (headers["x-ratelimit-remaining"] === "0" && /^\d+$/.test(headers["x-ratelimit-reset"] || "")) {
+            return Math.max(0, parseInt(headers["x-ratelimit-reset"]) * 1000 - Date.now());
         }
+        return null;
     }
 
     /**
-     * Add a request to the back of the queue
+     * Pause the queue if a successful response says the rate limit has run out
+     *
+     * @param headers {Object.<string, string>} The response headers, with lower case names
+     * @private
+     */
+    _checkRateLimit(headers) {
+        let delay = this._getHeaderDelay(headers || {});
+        if (delay !== null && delay > 0) {
+            this._pause(delay);
+        }
+    }
+
+    /**
+     * Stop processing requests for a while, such as when the API says we have made too many
+     *
+     * @param delay {number} How long to pause for, in milliseconds
+     * @private
+     */
+    _pause(delay) {
+        let until = Date.now() + delay;
+        if (until <= this.pausedUntil) {
+            return;
+        }
+        console.log(`Pausing requests from ${this.getName()} for ${(delay / 1000).toFixed(1)} second(s), as asked by the API`);
+        this.pausedUntil = until;
+        clearTimeout(this.resumeTimeout);
+        this.resumeTimeout = null;
+        this._resumeAfter(delay);
+    }
+
+    /**
+     * Carry on processing requests after a delay, unless that is already planned
+     *
+     * @param delay {number} How long to wait, in milliseconds
+     * @private
+     */
+    _resumeAfter(delay) {
+        if (!this.resumeTimeout) {
+            this.resumeTimeout = setTimeout(() => {
+                this.resumeTimeout = null;
+                this.processRequests();
+            }, delay);
+        }
+    }
+
+    /**
+     * Add a request to the back of the lane for its priority
      * @param payload The request to made
+     * @param [priority] {number} How urgent the request is, from {@link requestPriorities}. Defaults to normal
      * @returns {Promise} A promise that will be fulfilled with the response
      */
-    queueRequest(payload) {
+    queueRequest(payload, priority) {
+        if (priority === undefined) {
+            priority = requestPriorities.NORMAL;
+        }
         const promise = new Promise((resolve, reject) =>
-            this.requestsQueue.push(
-                [payload, resolve, reject]
-            )
+            this.lanes[priority].push({payload: payload, resolve: resolve, reject: reject, attempt: 1, priority: priority})
         );
         this.processRequests();
+        this._updateQueueMetrics();
         return promise;
     }
 }
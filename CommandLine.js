@@ -0,0 +1,693 @@
+const fs = require("fs");
+const config = require("./Config.js");
+const taskCsv = require("./TaskCsv.js");
+const configValidator = require("./ConfigValidator.js");
+const {fields, idFields, exitCodes, deletionStatuses, deadLetterStatuses} = require("./Globals");
+
+const usage = `Usage: node app.js <command> [options]
+
+Commands:
+  pull <service>        Load every task from a service (eg: google or trello) and list them
+  push <service>        Load from every service in turn, each overwriting the last, and then write the result to a service
+  sync [--watch]        Push anything altered on any service since the last sync.
+                        With --watch, carry on monitoring every service afterwards
+  diff                  Show what sync would change, without writing anything
+  resync [--task <id>]  Load one task, by its ID on any service, or every task from the services again,
+                        push any differences and show what was changed
+  import <file>         Merge the tasks in a CSV file into every service. Rows that can't be read are reported and skipped
+  export <file>         Load from every service and write the merged tasks to a CSV file, or '-' for the output
+  watch                 Monitor every service for changes, starting from the last synced state
+  status                Show the last synced state, any unresolved conflicts, deletions being held back and dead letters
+  journal [--task <id|name>] [--since <time>] [--until <time>]
+                        Show the changes seen and made, optionally only for one task or between two times
+  revert [--task <id|name>] [--since <time>] [--until <time>] [--dry-run]
+                        Put back the fields changed on one task, or on every task between two times, to their earlier values.
+                        With --dry-run, only show what would be reverted
+  deletions [--confirm|--discard] [--task <id|name>]
+                        List the deletions being held back from the other services.
+                        With --confirm, push them to the other services. With --discard, make the tasks again where they were deleted
+  dead-letters [--retry|--discard] [--task <id|name>]
+                        List the changes that failed to push to the other services.
+                        With --retry, try them again straight away. With --discard, stop trying
+  check [--live]        Check the config and tokens. With --live, also check the lists and custom fields exist on Trello
+
+Options:
+  --config <path>       The config file to use (default: config.json)
+  --tokens <path>       The tokens file to use (default: tokens.json)
+  --log-level <level>   One of error, warn, info or debug (default: info)
+  --dry-run             Show what would be done, without writing anything (revert)
+  --live                Check against the live Trello board (check)
+  --confirm             Push the held deletions to the other services (deletions)
+  --discard             Undo the held deletions (deletions), or stop retrying the dead letters (dead-letters)
+  --retry               Retry the dead letters straight away (dead-letters)
+  --json                Output as JSON rather than text, with logging written to stderr (pull, diff, resync, import, journal, revert, status, deletions and dead-letters)
+  -h, --help            Show this message
+
+Exit codes:
+  ${exitCodes.SUCCESS}  Finished successfully
+  ${exitCodes.FAILURE}  Failed
+  ${exitCodes.USAGE}  The command line was invalid
+  ${exitCodes.CHANGES}  Finished, but there are changes (diff), unresolved conflicts (sync, diff, resync and status),
+     rows that couldn't be read (import), something to revert (revert --dry-run), held deletions (status and deletions)
+     or dead letters (status and dead-letters)
+  ${exitCodes.INVALID_CONFIG}  The config or tokens are invalid
+`;
+
+/**
+ * The number of positional arguments each command takes
+ * @type {Object.<string, number>}
+ */
+const commandArgs = {
+    pull: 1,
+    push: 1,
+    sync: 0,
+    diff: 0,
+    resync: 0,
+    import: 1,
+    export: 1,
+    watch: 0,
+    status: 0,
+    journal: 0,
+    revert: 0,
+    deletions: 0,
+    "dead-letters": 0,
+    check: 0
+};
+
+const logLevels = ["error", "warn", "info", "debug"];
+
+/**
+ * Thrown when the command line given is not valid
+ */
+class UsageError extends Error {
+}
+
+/**
+ * Parses the command line and runs the matching command against the {@link TaskSyncer}
+ */
+class CommandLine {
+
+    /**
+     * Parse and run a command line.
+     *
+     * @param args {string[]} The arguments, not including the node executable or script
+     * @return {Promise<number|null>} The code to exit with, or null if the command keeps running in the background
+     */
+    async run(args) {
+        let parsed;
+        try {
+            parsed = this.parse(args);
+        } catch (reason) {
+            if (reason instanceof UsageError) {
+                process.stderr.write(`${reason.message}\n\n${usage}`);
+                return exitCodes.USAGE;
+            }
+            throw reason;
+        }
+
+        if (parsed.options.help) {
+            process.stdout.write(usage);
+            return exitCodes.SUCCESS;
+        }
+
+        config.setPaths(parsed.options.config, parsed.options.tokens);
+        if (parsed.options.json || (parsed.command === "export" && parsed.args[0] === "-")) {
+            this.logToStderr();
+        }
+        this.setLogLevel(parsed.options.logLevel);
+
+        let problems = this.validateConfig();
+        if (problems.length !== 0) {
+            process.stderr.write(`Refusing to start, as the config is invalid:\n${problems.map(problem => `  - ${problem}\n`).join("")}`);
+            return exitCodes.INVALID_CONFIG;
+        }
+
+        try {
+            // Only loaded now so that the paths to the config and tokens are set first
+            const taskSyncer = require("./TaskSyncer.js");
+            const method = parsed.command.replace(/-([a-z])/g, (match, letter) => letter.toUpperCase()); // dead-letters -> deadLetters
+            return await this[method](taskSyncer, parsed.args, parsed.options);
+        } catch (reason) {
+            if (reason instanceof UsageError) {
+                process.stderr.write(`${reason.message}\n\n${usage}`);
+                return exitCodes.USAGE;
+            }
+            console.error(`Command '${parsed.command}' failed: ${reason.stack || reason}`);
+            return exitCodes.FAILURE;
+        }
+    }
+
+    /**
+     * Split the command line into the command, its arguments and the options
+     *
+     * @param args {string[]} The arguments, not including the node executable or script
+     * @return {{command: string, args: string[], options: {config: string, tokens: string, logLevel: string, task: string, since: string, until: string, json: boolean, watch: boolean, live: boolean, dryRun: boolean, confirm: boolean, discard: boolean, retry: boolean, help: boolean}}}
+     */
+    parse(args) {
+        let positional = [];
+        let options = {logLevel: "info", json: false, watch: false, live: false, dryRun: false, confirm: false, discard: false, retry: false, help: false};
+        const valueOptions = {
+            "--config": "config", "--tokens": "tokens", "--log-level": "logLevel",
+            "--task": "task", "--since": "since", "--until": "until"
+        };
+        const flagOptions = {"--json": "json", "--watch": "watch", "--live": "live", "--dry-run": "dryRun",
+            "--confirm": "confirm", "--discard": "discard", "--retry": "retry", "--help": "help", "-h": "help"};
+
+        for (let i = 0; i < args.length; i++) {
+            let [name, value] = args[i].split(/=(.*)/);
+            if (name in valueOptions) {
+                if (value === undefined) {
+                    value = args[++i];
+                }
+                if (value === undefined) {
+                    throw new UsageError(`Option '${name}' needs a value`);
+                }
+                options[valueOptions[name]] = value;
+            } else if (name in flagOptions) {
+                options[flagOptions[name]] = true;
+            } else if (name.startsWith("-") && name !== "-") { // A lone '-' is the output, rather than an option
+                throw new UsageError(`Unknown option '${name}'`);
+            } else {
+                positional.push(args[i]);
+            }
+        }
+
+        if (options.help) {
+            return {command: undefined, args: [], options: options};
+        }
+
+        let [command, ...commandArguments] = positional;
+        if (command === undefined) {
+            throw new UsageError("No command given");
+        }
+        if (!commandArgs.hasOwnProperty(command)) {
+            throw new UsageError(`Unknown command '${command}'`);
+        }
+        if (commandArguments.length !== commandArgs[command]) {
+            throw new UsageError(`Command '${command}' takes ${commandArgs[command]} argument(s) but was given ${commandArguments.length}`);
+        }
+        for (let option of ["since", "until"]) {
+            if (options[option] !== undefined && isNaN(Date.parse(options[option]))) {
+                throw new UsageError(`Option '--${option}' should be a date or time, such as 2019-12-02 or 2019-12-02T10:00:00Z`);
+            }
+        }
+        if (command === "revert" && options.task === undefined && options.since === undefined) {
+            throw new UsageError("Command 'revert' needs a task (--task) or the start of a time window (--since)");
+        }
+        if (options.confirm && options.discard) {
+            throw new UsageError("Options '--confirm' and '--discard' can't be used together");
+        }
+        if (options.retry && options.discard) {
+            throw new UsageError("Options '--retry' and '--discard' can't be used together");
+        }
+        if (!logLevels.includes(options.logLevel)) {
+            throw new UsageError(`Unknown log level '${options.logLevel}'. Expected one of ${logLevels.join(", ")}`);
+        }
+        return {command: command, args: commandArguments, options: options};
+    }
+
+    /**
+     * Read and check the config and tokens files.
+     * This has to be done before anything else is loaded, as most modules read their settings as soon as they are loaded.
+     *
+     * @return {string[]} A description of each problem, or an empty list if there are none
+     */
+    validateConfig() {
+        let files = {};
+        let problems = [];
+        for (let [file, name] of [["config.json", "config"], ["tokens.json", "tokens"]]) {
+            try {
+                files[name] = config[name];
+            } catch (reason) {
+                problems.push(`${file}: Could not be read from '${config[`${name}Path`]}'. ${reason.message.split("\n")[0]}`);
+            }
+        }
+        if (problems.length !== 0) {
+            return problems;
+        }
+        return configValidator.validate(files.config, files.tokens);
+    }
+
+    /**
+     * Write all logging to stderr, so that the output of the command can be read by another program
+     */
+    logToStderr() {
+        console.log = console.error;
+        console.info = console.error;
+        console.debug = console.error;
+    }
+
+    /**
+     * Silence any logging below the given level.
+     * Output from the commands themselves is always written.
+     *
+     * @param level {string} One of error, warn, info or debug
+     */
+    setLogLevel(level) {
+        const index = logLevels.indexOf(level);
+        const silent = () => undefined;
+        if (index < logLevels.indexOf("warn")) {
+            console.warn = silent;
+        }
+        if (index < logLevels.indexOf("info")) {
+            console.log = silent;
+            console.info = silent;
+        }
+        if (index < logLevels.indexOf("debug")) {
+            console.debug = silent;
+        }
+    }
+
+    /**
+     * Check that a service has been registered with the task syncer
+     *
+     * @param taskSyncer {TaskSyncer}
+     * @param service {string} The name of the service
+     * @throws {UsageError} If there is no such service
+     */
+    checkService(taskSyncer, service) {
+        const names = taskSyncer.registry.getNames();
+        if (!names.includes(service)) {
+            throw new UsageError(`Unknown service '${service}'. Expected one of ${names.join(", ")}`);
+        }
+    }
+
+    /**
+     * Load every task from a service and list them
+     *
+     * @param taskSyncer {TaskSyncer}
+     * @param service {string} The name of the service
+     * @param options {{json: boolean}}
+     * @return {Promise<number>}
+     */
+    async pull(taskSyncer, [service], options) {
+        this.checkService(taskSyncer, service);
+        let taskList = await taskSyncer.loadFrom(service, true);
+        if (options.json) {
+            this._print(JSON.stringify(taskList.getTasks().map(task => task.fields), null, 2));
+        } else {
+            for (let task of taskList.getTasks()) {
+                let ids = idFields.map(idField => task.getField(idField));
+                this._print(`${ids.join("\t")}\t${task.getField(fields.NAME)}`);
+            }
+        }
+        return exitCodes.SUCCESS;
+    }
+
+    /**
+     * Load from every service in turn, each overwriting the last, and then write the result to a service
+     *
+     * @param taskSyncer {TaskSyncer}
+     * @param service {string} The name of the service
+     * @return {Promise<number>}
+     */
+    async push(taskSyncer, [service]) {
+        this.checkService(taskSyncer, service);
+        await taskSyncer.loadSyncState();
+        for (let name of taskSyncer.registry.getNames()) {
+            await taskSyncer.loadFrom(name);
+        }
+        await taskSyncer.writeTo(service);
+        return exitCodes.SUCCESS;
+    }
+
+    /**
+     * Push anything altered since the last sync, and optionally carry on monitoring
+     *
+     * @param taskSyncer {TaskSyncer}
+     * @param args {string[]}
+     * @param options {{watch: boolean}}
+     * @return {Promise<number|null>}
+     */
+    async sync(taskSyncer, args, options) {
+        await taskSyncer.loadSyncState();
+        await taskSyncer.syncChanges();
+        if (options.watch) {
+            taskSyncer.monitorAll();
+            return null;
+        }
+        return taskSyncer.syncState.getConflicts().length === 0 ? exitCodes.SUCCESS : exitCodes.CHANGES;
+    }
+
+    /**
+     * Show what syncing would change without writing anything
+     *
+     * @param taskSyncer {TaskSyncer}
+     * @param args {string[]}
+     * @param options {{json: boolean}}
+     * @return {Promise<number>}
+     */
+    async diff(taskSyncer, args, options) {
+        await taskSyncer.loadSyncState();
+        let plan = await taskSyncer.planChanges();
+        this._print(options.json ? JSON.stringify(plan, null, 2) : plan.toString());
+        return plan.hasChanges() || plan.conflicts.length !== 0 ? exitCodes.CHANGES : exitCodes.SUCCESS;
+    }
+
+    /**
+     * Load one task, or every task, from the services again and push any differences
+     *
+     * @param taskSyncer {TaskSyncer}
+     * @param args {string[]}
+     * @param options {{task: (string|undefined), json: boolean}}
+     * @return {Promise<number>}
+     */
+    async resync(taskSyncer, args, options) {
+        await taskSyncer.loadSyncState();
+        if (options.task !== undefined) {
+            taskSyncer.loadFromSyncState();
+        }
+        let report = await taskSyncer.resync(options.task);
+        if (!report) {
+            process.stderr.write(`There is no task with the ID '${options.task}' on any service\n`);
+            return exitCodes.FAILURE;
+        }
+        this._print(options.json ? JSON.stringify(report, null, 2) : report.toString());
+        return report.conflicts.length === 0 ? exitCodes.SUCCESS : exitCodes.CHANGES;
+    }
+
+    /**
+     * Merge the tasks in a CSV file into every service.
+     * Rows that can't be read are reported and skipped, while the rest are still imported.
+     *
+     * @param taskSyncer {TaskSyncer}
+     * @param file {string} The path to the CSV file
+     * @param options {{json: boolean}}
+     * @return {Promise<number>}
+     */
+    async import(taskSyncer, [file], options) {
+        let {rows, errors} = taskCsv.parse(await fs.promises.readFile(file, "utf8"));
+        if (options.json) {
+            this._print(JSON.stringify({imported: rows.length, errors: errors}, null, 2));
+        } else {
+            this._print(`Rows read: ${rows.length}`);
+            this._print(`Rows with problems: ${new Set(errors.map(error => error.line)).size}`);
+            for (let error of errors) {
+                let cell = error.column ? ` column '${error.column}'` : "";
+                let value = error.value !== undefined ? ` ('${error.value}')` : "";
+                this._print(`  Line ${error.line}${cell}${value}: ${error.message}`);
+            }
+        }
+
+        if (rows.length !== 0) {
+            await taskSyncer.loadSyncState();
+            await taskSyncer.importRows(rows);
+        }
+        return errors.length === 0 ? exitCodes.SUCCESS : exitCodes.CHANGES;
+    }
+
+    /**
+     * Load from every service and write the merged tasks to a CSV file
+     *
+     * @param taskSyncer {TaskSyncer}
+     * @param file {string} The path to the CSV file, or '-' to write to the output, with logging written to stderr instead
+     * @return {Promise<number>}
+     */
+    async export(taskSyncer, [file]) {
+        for (let name of taskSyncer.registry.getNames()) {
+            await taskSyncer.loadFrom(name, true);
+        }
+        let csv = taskCsv.serialise(taskSyncer.taskList.getTasks());
+        if (file === "-") {
+            process.stdout.write(csv);
+        } else {
+            await fs.promises.writeFile(file, csv, "utf8");
+            console.log(`Exported ${taskSyncer.taskList.getTasks().length} task(s) to '${file}'`);
+        }
+        return exitCodes.SUCCESS;
+    }
+
+    /**
+     * Monitor every service, starting from the last synced state
+     *
+     * @param taskSyncer {TaskSyncer}
+     * @return {Promise<null>}
+     */
+    async watch(taskSyncer) {
+        await taskSyncer.loadSyncState();
+        taskSyncer.loadFromSyncState();
+        taskSyncer.monitorAll();
+        return null;
+    }
+
+    /**
+     * Show the last synced state, any unresolved conflicts and any deletions being held back
+     *
+     * @param taskSyncer {TaskSyncer}
+     * @param args {string[]}
+     * @param options {{json: boolean}}
+     * @return {Promise<number>}
+     */
+    async status(taskSyncer, args, options) {
+        let syncState = await taskSyncer.loadSyncState();
+        let conflicts = syncState.getConflicts();
+        let deletions = taskSyncer.deletions.getPending();
+        let deadLetters = taskSyncer.deadLetters.getWaiting();
+        if (options.json) {
+            this._print(JSON.stringify({
+                path: syncState.filePath,
+                tasks: syncState.getSnapshots().map(task => task.fields),
+                conflicts: conflicts,
+                deletions: deletions,
+                deletionsPaused: taskSyncer.deletions.paused,
+                deadLetters: deadLetters
+            }, null, 2));
+        } else {
+            this._print(`Sync state: ${syncState.filePath}`);
+            this._print(`Synced tasks: ${syncState.getSnapshots().length}`);
+            this._print(`Unresolved conflicts: ${conflicts.length}`);
+            for (let conflict of conflicts) {
+                let ids = idFields.map(idField => `${idField}: ${conflict[idField]}`).join(", ");
+                this._print(`  '${conflict.name}' (${ids}) field '${conflict.field}' since ${conflict.detected}`);
+                for (let service of Object.keys(conflict.values)) {
+                    this._print(`      ${service}: ${JSON.stringify(conflict.values[service])}`);
+                }
+            }
+            this._printDeletions(taskSyncer.deletions);
+            this._printDeadLetters(taskSyncer.deadLetters);
+        }
+        return conflicts.length === 0 && deletions.length === 0 && deadLetters.length === 0 ? exitCodes.SUCCESS : exitCodes.CHANGES;
+    }
+
+    /**
+     * Show the changes seen on, and made to, each service
+     *
+     * @param taskSyncer {TaskSyncer}
+     * @param args {string[]}
+     * @param options {{task: string, since: string, until: string, json: boolean}}
+     * @return {Promise<number>}
+     */
+    async journal(taskSyncer, args, options) {
+        let entries = await taskSyncer.journal.query({
+            task: options.task,
+            since: options.since ? new Date(options.since) : undefined,
+            until: options.until ? new Date(options.until) : undefined
+        });
+        if (options.json) {
+            this._print(JSON.stringify(entries, null, 2));
+            return exitCodes.SUCCESS;
+        }
+        for (let entry of entries) {
+            let by = entry.type === "event" ? `seen on ${entry.service}${entry.actor ? ` by ${entry.actor}` : ""}`
+                : `written to ${entry.service}${entry.source ? ` from ${entry.source}` : ""}`;
+            let ids = Object.keys(entry.ids).filter(idField => entry.ids[idField] !== null)
+                .map(idField => `${idField}: ${entry.ids[idField]}`).join(", ");
+            this._print(`${entry.time} '${entry.name}' (${ids}) ${entry.action}, ${by}`);
+            for (let change of entry.changes) {
+                this._print(`      ${change.field}: ${JSON.stringify(change.before)} -> ${JSON.stringify(change.after)}`);
+            }
+        }
+        return exitCodes.SUCCESS;
+    }
+
+    /**
+     * Put back the fields changed on one task, or every task changed between two times, to their earlier values
+     *
+     * @param taskSyncer {TaskSyncer}
+     * @param args {string[]}
+     * @param options {{task: string, since: string, until: string, dryRun: boolean, json: boolean}}
+     * @return {Promise<number>}
+     */
+    async revert(taskSyncer, args, options) {
+        await taskSyncer.loadSyncState();
+        let {reverts, missing} = await taskSyncer.planRevert({
+            task: options.task,
+            since: options.since ? new Date(options.since) : undefined,
+            until: options.until ? new Date(options.until) : undefined
+        }, options.dryRun);
+
+        if (options.json) {
+            this._print(JSON.stringify({
+                reverts: reverts.map(({task, changes}) => ({name: task.getField(fields.NAME), changes: changes})),
+                missing: missing
+            }, null, 2));
+        } else {
+            this._print(reverts.length === 0 ? "Nothing to revert" : `${options.dryRun ? "Would revert" : "Reverting"}:`);
+            for (let {task, changes} of reverts) {
+                let ids = idFields.filter(idField => task.getField(idField))
+                    .map(idField => `${idField}: ${task.getField(idField)}`).join(", ");
+                this._print(`  ~ '${task.getField(fields.NAME)}' (${ids})`);
+                for (let change of changes) {
+                    this._print(`      ${change.field}: ${JSON.stringify(change.before)} -> ${JSON.stringify(change.after)}`);
+                }
+            }
+            for (let entry of missing) {
+                this._print(`  ! '${entry.name}' changed at ${entry.time} no longer exists, so can't be reverted`);
+            }
+        }
+
+        if (options.dryRun) {
+            return reverts.length === 0 ? exitCodes.SUCCESS : exitCodes.CHANGES;
+        }
+        await taskSyncer.applyRevert(reverts);
+        return exitCodes.SUCCESS;
+    }
+
+    /**
+     * List the deletions being held back, and optionally confirm or discard them.
+     * The decision is only saved, so that it is acted on by the syncer that is running, or otherwise by the next sync.
+     * Acting on it here as well could push the same deletion twice.
+     *
+     * @param taskSyncer {TaskSyncer}
+     * @param args {string[]}
+     * @param options {{task: string, confirm: boolean, discard: boolean, json: boolean}}
+     * @return {Promise<number>}
+     */
+    async deletions(taskSyncer, args, options) {
+        await taskSyncer.loadSyncState();
+        let deletions = taskSyncer.deletions;
+        if (!options.confirm && !options.discard) {
+            if (options.json) {
+                this._print(JSON.stringify({paused: deletions.paused, deletions: deletions.getPending()}, null, 2));
+            } else {
+                this._printDeletions(deletions);
+            }
+            return deletions.getPending().length === 0 ? exitCodes.SUCCESS : exitCodes.CHANGES;
+        }
+
+        let status = options.confirm ? deletionStatuses.CONFIRMED : deletionStatuses.DISCARDED;
+        let decided = deletions.decide(options.task, status);
+        await deletions.saveDecisions(decided);
+        if (options.json) {
+            this._print(JSON.stringify({status: status, deletions: decided}, null, 2));
+        } else {
+            this._print(decided.length === 0 ? "No held deletions match" : `${options.confirm ? "Confirmed" : "Discarded"}:`);
+            for (let tombstone of decided) {
+                this._print(`  '${tombstone.name}' deleted from ${tombstone.deletedFrom.join(", ")}`);
+            }
+            if (decided.length !== 0) {
+                this._print("These will be dealt with by the running syncer within a few seconds, or otherwise on the next sync");
+            }
+        }
+        return exitCodes.SUCCESS;
+    }
+
+    /**
+     * List the changes that failed to push to the other services, or retry or discard them.
+     * Retried and discarded dead letters are dealt with by the running syncer, as with deletions.
+     *
+     * @param taskSyncer {TaskSyncer}
+     * @param args {string[]}
+     * @param options {{task: (string|undefined), retry: boolean, discard: boolean, json: boolean}}
+     * @return {Promise<number>}
+     */
+    async deadLetters(taskSyncer, args, options) {
+        await taskSyncer.loadSyncState();
+        let deadLetters = taskSyncer.deadLetters;
+        if (!options.retry && !options.discard) {
+            if (options.json) {
+                this._print(JSON.stringify(deadLetters.getWaiting(), null, 2));
+            } else {
+                this._printDeadLetters(deadLetters);
+            }
+            return deadLetters.getWaiting().length === 0 ? exitCodes.SUCCESS : exitCodes.CHANGES;
+        }
+
+        let status = options.retry ? deadLetterStatuses.RETRY : deadLetterStatuses.DISCARDED;
+        let decided = deadLetters.decide(options.task, status);
+        await deadLetters.saveDecisions(decided);
+        if (options.json) {
+            this._print(JSON.stringify({status: status, deadLetters: decided}, null, 2));
+        } else {
+            this._print(decided.length === 0 ? "No dead letters match" : `${options.retry ? "Retrying" : "Discarded"}:`);
+            for (let letter of decided) {
+                this._print(`  '${letter.name}' ${letter.action} on ${letter.source}`);
+            }
+            if (decided.length !== 0) {
+                this._print("These will be dealt with by the running syncer within a few seconds");
+            }
+        }
+        return exitCodes.SUCCESS;
+    }
+
+    /**
+     * Check the config and tokens, and optionally that the lists and custom fields exist on the live Trello board.
+     * By the time this runs the files themselves have already been checked.
+     *
+     * @param taskSyncer {TaskSyncer}
+     * @param args {string[]}
+     * @param options {{live: boolean}}
+     * @return {Promise<number>}
+     */
+    async check(taskSyncer, args, options) {
+        this._print(`Config '${config.configPath}' and tokens '${config.tokensPath}' are valid`);
+        if (!options.live) {
+            return exitCodes.SUCCESS;
+        }
+
+        let problems = await configValidator.validateBoard(config.config, require("./TrelloApiRequester.js"));
+        if (problems.length !== 0) {
+            this._print(`The Trello board does not match the config:\n${problems.map(problem => `  - ${problem}`).join("\n")}`);
+            return exitCodes.INVALID_CONFIG;
+        }
+        this._print("Every list and custom field exists on the Trello board");
+        return exitCodes.SUCCESS;
+    }
+
+    /**
+     * Write out the deletions being held back, and whether they are paused
+     *
+     * @param deletions {DeletionQueue}
+     * @private
+     */
+    _printDeletions(deletions) {
+        let pending = deletions.getPending();
+        this._print(`Held deletions: ${pending.length}${deletions.paused ? " (paused, as too many arrived at once)" : ""}`);
+        for (let tombstone of pending) {
+            let ids = idFields.filter(idField => tombstone.fields[idField])
+                .map(idField => `${idField}: ${tombstone.fields[idField]}`).join(", ");
+            this._print(`  - '${tombstone.name}' (${ids}) deleted from ${tombstone.deletedFrom.join(", ")} at ${tombstone.seen}, due ${tombstone.due}`);
+        }
+    }
+
+    /**
+     * Write out the changes that failed to push, and when each will next be retried
+     *
+     * @param deadLetters {DeadLetterQueue}
+     * @private
+     */
+    _printDeadLetters(deadLetters) {
+        let waiting = deadLetters.getWaiting();
+        this._print(`Dead letters: ${waiting.length}`);
+        for (let letter of waiting) {
+            let ids = idFields.filter(idField => letter.task[idField])
+                .map(idField => `${idField}: ${letter.task[idField]}`).join(", ");
+            let changed = letter.fields.length !== 0 ? ` (${letter.fields.join(", ")})` : "";
+            let next = letter.nextRetry ? `next retry ${letter.nextRetry}` : "out of retries";
+            this._print(`  - '${letter.name}' (${ids}) ${letter.action}${changed} on ${letter.source}, ` +
+                `failed ${letter.attempts} time(s) since ${letter.firstFailed}, ${next}`);
+            this._print(`      ${letter.error}`);
+        }
+    }
+
+    /**
+     * Write the output of a command. This ignores the log level
+     * @param text {string}
+     * @private
+     */
+    _print(text) {
+        process.stdout.write(`${text}\n`);
+    }
+}
+
+module.exports = new CommandLine();
@@ -0,0 +1,46 @@
+const path = require("path");
+
+/**
+ * Loads the config and tokens files, as described in the README.
+ *
+ * By default these are `config.json` and `tokens.json` in the root directory.
+ * Other paths can be given with {@link Config#setPaths()}, but this must be done before any other module is required
+ * as most of them read their settings as soon as they are loaded.
+ */
+class Config {
+    constructor() {
+        this.configPath = path.join(__dirname, "config.json");
+        this.tokensPath = path.join(__dirname, "tokens.json");
+    }
+
+    /**
+     * Change where the config and tokens are loaded from
+     *
+     * @param [configPath] {string} The path to the config file. Left unchanged if not given
+     * @param [tokensPath] {string} The path to the tokens file. Left unchanged if not given
+     */
+    setPaths(configPath, tokensPath) {
+        if (configPath) {
+            this.configPath = path.resolve(configPath);
+        }
+        if (tokensPath) {
+            this.tokensPath = path.resolve(tokensPath);
+        }
+    }
+
+    /**
+     * @return {Object} The contents of the config file
+     */
+    get config() {
+        return require(this.configPath);
+    }
+
+    /**
+     * @return {Object} The contents of the tokens file
+     */
+    get tokens() {
+        return require(this.tokensPath);
+    }
+}
+
+module.exports = new Config();
@@ -0,0 +1,312 @@
+const {fields, categories, mergePolicies, trelloModes} = require("./Globals");
+
+/**
+ * Describes what a single value in the config should look like
+ *
+ * @typedef {{
+ *      type: string
+ *      [required]: boolean
+ *      [keys]: Object.<string, Schema>
+ *      [values]: Schema
+ *      [allowed]: Array<*>
+ *      [allowedKeys]: string[]
+ *      [minimum]: number
+ *      [pattern]: RegExp
+ *      [patternMessage]: string
+ * }} Schema
+ */
+
+/**
+ * @param [schema] {Object} Any other parts of the schema
+ * @return {Schema} A schema for a required, non-empty, string
+ */
+const requiredString = schema => ({type: "string", required: true, ...schema});
+
+const customFieldKeys = ["isBeginner", "days", "instances", "googleId"];
+/**
+ * The custom fields that are only used when the categories and tags aren't stored as labels
+ * @type {string[]}
+ */
+const unlabelledFieldKeys = ["tags", "isCode", "isDesign", "isDocs", "isQa", "isOutResearch"];
+const categoryKeys = Object.values(categories).map(String);
+
+/**
+ * The colours a Trello label can be
+ * @type {string[]}
+ */
+const labelColors = ["green", "yellow", "orange", "red", "purple", "blue", "sky", "lime", "pink", "black"]
+    .reduce((ret, color) => ret.concat([color, `${color}_dark`, `${color}_light`]), []);
+
+/**
+ * @param keys {string[]} The keys that must all be present
+ * @return {Object.<string, Schema>} A schema requiring a string ID for every key
+ */
+const requiredIds = keys => keys.reduce((ret, key) => {
+    ret[key] = requiredString();
+    return ret;
+}, {});
+
+/**
+ * @type {Schema}
+ */
+const configSchema = {
+    type: "object",
+    required: true,
+    keys: {
+        boardId: requiredString(),
+        categoryLists: {type: "object", required: true, keys: requiredIds(categoryKeys)},
+        customFields: {
+            type: "object",
+            required: true,
+            keys: Object.assign(requiredIds(customFieldKeys), unlabelledFieldKeys.reduce((ret, key) => {
+                ret[key] = {type: "string"};
+                return ret;
+            }, {}))
+        },
+        trelloLabels: {
+            type: "object",
+            keys: {
+                categoryLabels: {type: "object", allowedKeys: categoryKeys, values: requiredString()},
+                categoryColors: {type: "object", allowedKeys: categoryKeys, values: {type: "string", allowed: labelColors}},
+                tagPrefix: {type: "string"},
+                tagColor: {type: "string", allowed: labelColors}
+            }
+        },
+        callbackUrl: {type: "string", pattern: /^https?:\/\//, patternMessage: "a http(s) URL"},
+        botMemberId: requiredString(),
+        trelloPort: {type: "integer", required: true, minimum: 1},
+        trelloMode: {type: "string", allowed: Object.values(trelloModes)},
+        trelloPollRate: {type: "number", minimum: 1},
+        googlePollRate: {type: "number", required: true, minimum: 1},
+        googleFullPollRate: {type: "number", minimum: 1},
+        syncStatePath: {type: "string"},
+        journalPath: {type: "string"},
+        deletionsPath: {type: "string"},
+        webhookQueuePath: {type: "string"},
+        deadLettersPath: {type: "string"},
+        retries: {
+            type: "object",
+            keys: {
+                maxAttempts: {type: "integer", minimum: 1},
+                baseDelay: {type: "number", minimum: 0},
+                maxDelay: {type: "number", minimum: 0}
+            }
+        },
+        deadLetters: {
+            type: "object",
+            keys: {
+                maxAttempts: {type: "integer", minimum: 1},
+                baseDelay: {type: "number", minimum: 0},
+                maxDelay: {type: "number", minimum: 0}
+            }
+        },
+        deletions: {
+            type: "object",
+            keys: {
+                gracePeriod: {type: "number", minimum: 0},
+                maxDeletions: {type: "integer", minimum: 1},
+                window: {type: "number", minimum: 1}
+            }
+        },
+        health: {
+            type: "object",
+            keys: {
+                maxQueueLength: {type: "integer", minimum: 1},
+                webhookWindow: {type: "number", minimum: 1}
+            }
+        },
+        mergePolicies: {
+            type: "object",
+            allowedKeys: ["default", ...Object.values(fields)],
+            values: {type: "string", allowed: Object.values(mergePolicies)}
+        },
+        defaults: {type: "object", allowedKeys: Object.values(fields)},
+        github: {
+            type: "object",
+            keys: {
+                owner: requiredString(),
+                repo: requiredString(),
+                label: {type: "string"},
+                categoryLabels: {type: "object", required: true, allowedKeys: categoryKeys, keys: requiredIds(categoryKeys)},
+                pollRate: {type: "number", minimum: 1},
+                baseUrl: {type: "string", pattern: /^https?:\/\//, patternMessage: "a http(s) URL"}
+            }
+        },
+        markdown: {
+            type: "object",
+            keys: {
+                directory: {type: "string"}
+            }
+        }
+    }
+};
+
+/**
+ * @type {Schema}
+ */
+const tokensSchema = {
+    type: "object",
+    required: true,
+    keys: {
+        googleToken: requiredString(),
+        trelloKey: requiredString(),
+        trelloToken: requiredString(),
+        trelloSecret: {type: "string"},
+        githubToken: {type: "string"},
+        apiToken: {type: "string"}
+    }
+};
+
+/**
+ * Checks that the config and tokens files contain everything needed to start, with values of the right type.
+ *
+ * Each problem is described as a single line naming the file and the key at fault,
+ * so that they can all be fixed at once rather than found one crash at a time.
+ */
+class ConfigValidator {
+
+    /**
+     * Check the config and tokens
+     *
+     * @param config {Object} The contents of the config file
+     * @param tokens {Object} The contents of the tokens file
+     * @return {string[]} A description of each problem, or an empty list if there are none
+     */
+    validate(config, tokens) {
+        let problems = [];
+        this._check("config.json", "", config, configSchema, problems);
+        this._check("tokens.json", "", tokens, tokensSchema, problems);
+        if (config && config.github && tokens && !tokens.githubToken) {
+            problems.push("tokens.json: 'githubToken' is missing, but is needed as 'github' is configured");
+        }
+        if (config && !config.trelloLabels && config.customFields && typeof config.customFields === "object") {
+            for (let key of unlabelledFieldKeys) {
+                if (!config.customFields[key]) {
+                    problems.push(`config.json: 'customFields.${key}' is missing, but is needed as 'trelloLabels' isn't configured`);
+                }
+            }
+        }
+        if (config && config.trelloMode !== trelloModes.POLLING) {
+            if (config.callbackUrl === undefined || config.callbackUrl === null) {
+                problems.push("config.json: 'callbackUrl' is missing, but is needed as Trello is monitored with webhooks");
+            }
+            if (tokens && !tokens.trelloSecret) {
+                problems.push("tokens.json: 'trelloSecret' is missing, but is needed as Trello is monitored with webhooks");
+            }
+        }
+        return problems;
+    }
+
+    /**
+     * Check the live Trello board has the lists and custom fields given in the config
+     *
+     * @param config {Object} The contents of the config file, which must already be valid
+     * @param requester {TrelloApiRequester} The requester to read the board with
+     * @return {Promise<string[]>} A description of each problem, or an empty list if there are none
+     */
+    async validateBoard(config, requester) {
+        let problems = [];
+        let lists = new Set((await requester.getBoardLists(config.boardId)).map(list => list.id));
+        let customFields = new Set((await requester.getBoardCustomFields(config.boardId)).map(field => field.id));
+
+        for (let category of categoryKeys) {
+            if (!lists.has(config.categoryLists[category])) {
+                problems.push(`config.json: 'categoryLists.${category}' ('${config.categoryLists[category]}') is not a list on board '${config.boardId}'`);
+            }
+        }
+        for (let key of config.trelloLabels ? customFieldKeys : customFieldKeys.concat(unlabelledFieldKeys)) {
+            if (!customFields.has(config.customFields[key])) {
+                problems.push(`config.json: 'customFields.${key}' ('${config.customFields[key]}') is not a custom field on board '${config.boardId}'`);
+            }
+        }
+        return problems;
+    }
+
+    /**
+     * Check a single value against its schema, adding any problems to the list
+     *
+     * @param file {string} The file being checked
+     * @param path {string} The path to the value within the file, or an empty string for the whole file
+     * @param value {*} The value to check
+     * @param schema {Schema} What the value should look like
+     * @param problems {string[]} The list to add problems to
+     * @private
+     */
+    _check(file, path, value, schema, problems) {
+        const name = path ? `'${path}'` : "The file";
+        if (value === undefined || value === null) {
+            if (schema.required) {
+                problems.push(`${file}: ${name} is missing`);
+            }
+            return;
+        }
+        if (!this._isType(value, schema.type)) {
+            problems.push(`${file}: ${name} should be ${this._describeType(schema.type)}, but is ${JSON.stringify(value)}`);
+            return;
+        }
+
+        switch (schema.type) {
+            case "string":
+                if (schema.required && value.trim() === "") {
+                    problems.push(`${file}: ${name} is empty`);
+                } else if (schema.pattern && !schema.pattern.test(value)) {
+                    problems.push(`${file}: ${name} should be ${schema.patternMessage}, but is ${JSON.stringify(value)}`);
+                }
+                break;
+            case "number":
+            case "integer":
+                if (schema.minimum !== undefined && value < schema.minimum) {
+                    problems.push(`${file}: ${name} should be at least ${schema.minimum}, but is ${value}`);
+                }
+                break;
+            case "object":
+                const prefix = path ? `${path}.` : "";
+                for (let key of Object.keys(schema.keys || {})) {
+                    this._check(file, prefix + key, value[key], schema.keys[key], problems);
+                }
+                for (let key of Object.keys(value)) {
+                    if (schema.allowedKeys && !schema.allowedKeys.includes(key)) {
+                        problems.push(`${file}: '${prefix}${key}' is not recognised. Expected one of ${schema.allowedKeys.join(", ")}`);
+                    } else if (schema.values) {
+                        this._check(file, prefix + key, value[key], schema.values, problems);
+                    }
+                }
+                break;
+        }
+        if (schema.allowed && !schema.allowed.includes(value)) {
+            problems.push(`${file}: ${name} should be one of ${schema.allowed.join(", ")}, but is ${JSON.stringify(value)}`);
+        }
+    }
+
+    /**
+     * @param value {*}
+     * @param type {string} One of string, number, integer or object
+     * @return {boolean} True if the value is of the type
+     * @private
+     */
+    _isType(value, type) {
+        switch (type) {
+            case "string":
+                return typeof value === "string";
+            case "number":
+                return typeof value === "number" && isFinite(value);
+            case "integer":
+                return Number.isInteger(value);
+            case "object":
+                return typeof value === "object" && !Array.isArray(value);
+            default:
+                throw new Error(`Unknown type '${type}' in config schema`);
+        }
+    }
+
+    /**
+     * @param type {string} One of string, number, integer or object
+     * @return {string} The type in a human readable form
+     * @private
+     */
+    _describeType(type) {
+        return {string: "a string", number: "a number", integer: "a whole number", object: "an object"}[type];
+    }
+}
+
+module.exports = new ConfigValidator();
@@ -0,0 +1,223 @@
+const {fields, idFields, categories} = require("./Globals");
+const journal = require("./AuditJournal.js");
+
+/**
+ * The names of the categories, as shown on the GCI site
+ * @type {Object.<number, string>}
+ */
+const categoryNames = {
+    [categories.CODING]: "Coding",
+    [categories.DESIGN]: "Design",
+    [categories.DOCS_TRAINING]: "Documentation / Training",
+    [categories.QA]: "Quality Assurance",
+    [categories.OUTRESEARCH]: "Outreach / Research"
+};
+
+/**
+ * The services a task is synced between, with the field holding its ID on each and a link to it there
+ * @type {{name: string, displayName: string, idField: string, link: function(*): string}[]}
+ */
+const sides = [
+    {
+        name: "google",
+        displayName: "GCI",
+        idField: fields.GOOGLE_ID,
+        link: id => `https://codein.withgoogle.com/dashboard/tasks/${id}/`
+    },
+    {
+        name: "trello",
+        displayName: "Trello",
+        idField: fields.TRELLO_ID,
+        link: id => `https://trello.com/c/${id}`
+    }
+];
+
+/**
+ * A read-only web page listing every task being synced, so that anyone can check where a task has got to.
+ *
+ * Each task is shown with its ID and a link on GCI and Trello, its categories, days and beginner flag,
+ * the claimed, completed and available counts from GCI, and when the syncer last wrote it to each side.
+ * Tasks that are only on one side are highlighted. The list can be filtered by category and by tag
+ * with the `category` and `tag` query parameters, which the form on the page fills in.
+ */
+class Dashboard {
+    /**
+     * Render the page for a task list
+     *
+     * @param taskList {TaskList} The tasks being synced
+     * @param [query] {{category: (string|undefined), tag: (string|undefined)}} The filters to apply
+     * @return {Promise<string>} The page as HTML
+     */
+    render(taskList, query) {
+        query = query || {};
+        return journal.query().then(entries => {
+            let lastWrites = this._getLastWrites(entries);
+            let allTags = new Set();
+            for (let task of taskList.getTasks()) {
+                (task.getField(fields.TAGS) || []).forEach(tag => allTags.add(tag));
+            }
+            let tasks = taskList.getTasks().filter(task => this._matches(task, query));
+            let oneSided = tasks.filter(task => this._isOneSided(task)).length;
+
+            return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Task Syncer</title>
+<style>
+    body { font-family: sans-serif; margin: 1em; }
+    table { border-collapse: collapse; width: 100%; }
+    th, td { border: 1px solid #ccc; padding: 0.3em 0.5em; text-align: left; vertical-align: top; }
+    th { background: #eee; }
+    tr.one-sided { background: #fde2e2; }
+    .missing { color: #b00; font-weight: bold; }
+    form { margin-bottom: 1em; }
+</style>
+</head>
+<body>
+<h1>Synced tasks</h1>
+<form method="get">
+    <label>Category ${this._renderSelect("category", Object.entries(categoryNames), query.category)}</label>
+    <label>Tag ${this._renderSelect("tag", [...allTags].sort().map(tag => [tag, tag]), query.tag)}</label>
+    <button type="submit">Filter</button>
+</form>
+<p>Showing ${tasks.length} of ${taskList.getTasks().length} task(s). ${oneSided} only on one side, highlighted below.</p>
+<table>
+<thead>
+<tr>
+    <th>Name</th>
+    ${sides.map(side => `<th>${side.displayName}</th>`).join("")}
+    <th>Categories</th>
+    <th>Tags</th>
+    <th>Days</th>
+    <th>Beginner</th>
+    <th>Claimed</th>
+    <th>Completed</th>
+    <th>Available</th>
+    ${sides.map(side => `<th>Last written to ${side.displayName}</th>`).join("")}
+</tr>
+</thead>
+<tbody>
+${tasks.map(task => this._renderTask(task, lastWrites)).join("\n")}
+</tbody>
+</table>
+</body>
+</html>
+`;
+        });
+    }
+
+    /**
+     * @param task {Task}
+     * @param lastWrites {Object.<string, Object.<string, string>>} When each ID was last written to each service
+     * @return {string} The row for a task
+     * @private
+     */
+    _renderTask(task, lastWrites) {
+        let ids = sides.map(side => task.getField(side.idField));
+        let cells = [
+            escape(task.getField(fields.NAME)),
+            ...sides.map((side, i) => ids[i]
+                ? `<a href="${escape(side.link(ids[i]))}">${escape(ids[i])}</a>`
+                : `<span class="missing">Missing</span>`),
+            (task.getField(fields.CATEGORIES) || []).map(category => escape(categoryNames[category] || category)).join("<br>"),
+            (task.getField(fields.TAGS) || []).map(escape).join(", "),
+            escape(task.getField(fields.DAYS)),
+            task.getField(fields.IS_BEGINNER) ? "Yes" : "No",
+            escape(task.getField(fields.CLAIMED_COUNT)),
+            escape(task.getField(fields.COMPLETED_COUNT)),
+            escape(task.getField(fields.AVAILABLE_COUNT)),
+            ...sides.map(side => escape(this._getLastWrite(task, side.name, lastWrites) || "Never"))
+        ];
+        return `<tr${this._isOneSided(task) ? ` class="one-sided"` : ""}>${cells.map(cell => `<td>${cell}</td>`).join("")}</tr>`;
+    }
+
+    /**
+     * @param name {string} The name of the query parameter
+     * @param options {[string, string][]} The value and label of each option
+     * @param selected {string|undefined} The value currently selected
+     * @return {string} A drop down to pick one of the options, or none of them
+     * @private
+     */
+    _renderSelect(name, options, selected) {
+        let rendered = options.map(([value, label]) =>
+            `<option value="${escape(value)}"${value === selected ? " selected" : ""}>${escape(label)}</option>`);
+        return `<select name="${name}"><option value="">Any</option>${rendered.join("")}</select>`;
+    }
+
+    /**
+     * @param task {Task}
+     * @param query {{category: (string|undefined), tag: (string|undefined)}}
+     * @return {boolean} True if the task passes the filters
+     * @private
+     */
+    _matches(task, query) {
+        if (query.category && !(task.getField(fields.CATEGORIES) || []).includes(parseInt(query.category))) {
+            return false;
+        }
+        return !query.tag || (task.getField(fields.TAGS) || []).includes(query.tag);
+    }
+
+    /**
+     * @param task {Task}
+     * @return {boolean} True if the task is on GCI or Trello, but not both
+     * @private
+     */
+    _isOneSided(task) {
+        return sides.filter(side => task.getField(side.idField)).length === 1;
+    }
+
+    /**
+     * Works out when the syncer last wrote to each service, for the ID's of every task in the journal
+     *
+     * @param entries {JournalEntry[]} Every entry in the journal, oldest first
+     * @return {Object.<string, Object.<string, string>>} The time of the last write, keyed by service and then by ID field and ID
+     * @private
+     */
+    _getLastWrites(entries) {
+        let lastWrites = {};
+        for (let entry of entries) {
+            if (entry.type !== "write") {
+                continue;
+            }
+            let writes = lastWrites[entry.service] || (lastWrites[entry.service] = {});
+            for (let idField in entry.ids) {
+                if (entry.ids.hasOwnProperty(idField) && entry.ids[idField] !== null) {
+                    writes[`${idField}:${entry.ids[idField]}`] = entry.time;
+                }
+            }
+        }
+        return lastWrites;
+    }
+
+    /**
+     * @param task {Task}
+     * @param service {string} The name of the service
+     * @param lastWrites {Object.<string, Object.<string, string>>} When each ID was last written to each service
+     * @return {string|undefined} When the task was last written to the service, if it ever was
+     * @private
+     */
+    _getLastWrite(task, service, lastWrites) {
+        let writes = lastWrites[service] || {};
+        return idFields.filter(idField => task.getField(idField) !== null)
+            .map(idField => writes[`${idField}:${task.getField(idField)}`])
+            .filter(time => time)
+            .sort()
+            .pop();
+    }
+}
+
+/**
+ * @param value {*}
+ * @return {string} The value with anything that means something in HTML escaped
+ */
+function escape(value) {
+    return String(value === null || value === undefined ? "" : value)
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;")
+        .replace(/'/g, "&#39;");
+}
+
+module.exports = new Dashboard();
@@ -0,0 +1,334 @@
+const fs = require("fs");
+const Task = require("./Task.js");
+const {fields, idFields, deadLetterStatuses} = require("./Globals");
+const {deadLettersPath, deadLetters} = require("./Config.js").config;
+
+/**
+ * The settings used for anything not given in the `deadLetters` section of the config.
+ * The delays are in seconds
+ * @type {{maxAttempts: number, baseDelay: number, maxDelay: number}}
+ */
+const defaultSettings = {
+    maxAttempts: 10,
+    baseDelay: 60,
+    maxDelay: 3600
+};
+
+/**
+ * A change seen on one service that couldn't be pushed to the others
+ *
+ * @typedef {{
+ *      id: string
+ *      name: string
+ *      source: string
+ *      action: string
+ *      fields: string[]
+ *      task: Object.<string, *>
+ *      error: string
+ *      attempts: number
+ *      firstFailed: string
+ *      lastFailed: string
+ *      nextRetry: (string|null)
+ *      status: string
+ * }} DeadLetter
+ */
+
+/**
+ * A persisted store of changes that failed to be pushed from one service to the others, known as dead letters.
+ *
+ * Each holds the task as it was, the service the change came from, whether it was created, altered or deleted,
+ * the fields altered and the error. They are retried automatically, waiting `baseDelay` seconds after the first failure
+ * and twice as long after each one since, up to `maxDelay`. Once `maxAttempts` have failed they are only retried,
+ * or discarded, with the `dead-letters` command.
+ *
+ * The store is JSON on the local disk, at the path given by `deadLettersPath` in the config,
+ * so that decisions made with the command are picked up by a syncer that is already running.
+ */
+class DeadLetterQueue {
+    constructor(filePath, settings) {
+        this.filePath = filePath;
+        this.settings = Object.assign({}, defaultSettings, settings);
+        /**
+         * @type {DeadLetter[]}
+         */
+        this.letters = [];
+        /**
+         * The dead letters being retried by this syncer. Any others marked in flight were left so by a syncer that stopped
+         * part way through retrying them, and so are retried again
+         * @type {WeakSet<DeadLetter>}
+         */
+        this.retrying = new WeakSet();
+        this.lastSave = Promise.resolve();
+    }
+
+    /**
+     * Load the dead letters from the disk, replacing anything currently held.
+     * If there are none on the disk then it will simply be empty.
+     *
+     * @return {Promise<DeadLetterQueue>} A promise that finishes when the letters are loaded
+     */
+    load() {
+        return this._read()
+            .then(letters => {
+                this.letters = letters;
+            })
+            .then(() => this);
+    }
+
+    /**
+     * Pick up any dead letters retried or discarded with the command since they were loaded.
+     * Unlike {@link DeadLetterQueue#load} this keeps anything added since then.
+     *
+     * @return {Promise<DeadLetterQueue>} A promise that finishes when the letters are refreshed
+     */
+    refresh() {
+        return this._read()
+            .then(letters => this._keepDecisions(letters))
+            .then(() => this);
+    }
+
+    /**
+     * Write the dead letters to the disk, in the same way as the sync state.
+     * The letters on the disk are read again first, so that any retried or discarded with the command
+     * since the last refresh are kept rather than written over.
+     *
+     * @return {Promise<void>} A promise that finishes when the letters have been written
+     */
+    save() {
+        const tempPath = `${this.filePath}.tmp`;
+        this.lastSave = this.lastSave
+            .catch(() => undefined) // A failed save should not block later ones
+            .then(() => this._readFile())
+            .then(letters => {
+                this._keepDecisions(letters);
+                return fs.promises.writeFile(tempPath, JSON.stringify({letters: this.letters}, null, 2), "utf8");
+            })
+            .then(() => fs.promises.rename(tempPath, this.filePath));
+        return this.lastSave;
+    }
+
+    /**
+     * Write the decisions made with the command to the disk, without losing any dead letters
+     * a running syncer has added since they were loaded. The letters are read again,
+     * and only those that were decided and are still waiting have their status changed
+     *
+     * @param decided {DeadLetter[]} The dead letters that were decided, from {@link DeadLetterQueue#decide}
+     * @return {Promise<void>} A promise that finishes when the decisions have been written
+     */
+    saveDecisions(decided) {
+        return this._read()
+            .then(letters => {
+                for (let letter of letters) {
+                    let decision = decided.find(other => other.id === letter.id);
+                    if (decision && this.isWaiting(letter)) {
+                        letter.status = decision.status;
+                    }
+                }
+                this.letters = letters;
+                return this.save();
+            });
+    }
+
+    /**
+     * Record a change that couldn't be pushed.
+     * If the same change to the same task is already waiting to be retried, then it is updated to match instead.
+     *
+     * @param source {string} The name of the service the change was seen on
+     * @param action {string} What happened to the task, from {@link propagations}
+     * @param task {Task} The task that was changed
+     * @param alteredFields {string[]} The fields that were altered, if any
+     * @param reason {*} Why pushing the change failed
+     * @param now {number} The current time, in milliseconds since the epoch
+     * @return {DeadLetter} The dead letter holding the change
+     */
+    add(source, action, task, alteredFields, reason, now) {
+        let letter = this.letters.find(letter => letter.source === source && letter.action === action
+            && letter.status === deadLetterStatuses.WAITING && task.isSameTask(this.toTask(letter)));
+        if (letter) {
+            letter.name = task.getField(fields.NAME);
+            letter.fields = [...new Set([...letter.fields, ...alteredFields])];
+            letter.task = JSON.parse(JSON.stringify(task.fields));
+            letter.error = String(reason);
+            letter.lastFailed = new Date(now).toISOString();
+            return letter;
+        }
+
+        letter = {
+            id: `${now}-${this.letters.length}`,
+            name: task.getField(fields.NAME),
+            source: source,
+            action: action,
+            fields: alteredFields,
+            task: JSON.parse(JSON.stringify(task.fields)),
+            error: String(reason),
+            attempts: 1,
+            firstFailed: new Date(now).toISOString(),
+            lastFailed: new Date(now).toISOString(),
+            nextRetry: new Date(now + this._getDelay(1)).toISOString(),
+            status: deadLetterStatuses.WAITING
+        };
+        this.letters.push(letter);
+        return letter;
+    }
+
+    /**
+     * Get the dead letters that are ready to be dealt with.
+     * These are those retried or discarded with the command, along with any waiting that are due to be retried
+     * and any left in flight by a syncer that stopped.
+     * Discarded letters are removed from the store, while the rest are marked as in flight and kept
+     * until they are either retried successfully or put back.
+     *
+     * @param now {number} The current time, in milliseconds since the epoch
+     * @return {DeadLetter[]} The dead letters ready to be dealt with, oldest first
+     */
+    takeReady(now) {
+        let ready = this.letters.filter(letter => letter.status === deadLetterStatuses.RETRY
+            || letter.status === deadLetterStatuses.DISCARDED
+            || (letter.status === deadLetterStatuses.WAITING && Date.parse(letter.nextRetry) <= now)
+            || (letter.status === deadLetterStatuses.IN_FLIGHT && !this.retrying.has(letter)));
+        for (let letter of ready) {
+            if (letter.status === deadLetterStatuses.DISCARDED) {
+                this.remove(letter);
+            } else {
+                letter.status = deadLetterStatuses.IN_FLIGHT;
+                this.retrying.add(letter);
+            }
+        }
+        return ready;
+    }
+
+    /**
+     * Stop holding a dead letter, such as once its retry has succeeded
+     *
+     * @param letter {DeadLetter}
+     */
+    remove(letter) {
+        this.retrying.delete(letter);
+        this.letters = this.letters.filter(other => other !== letter);
+    }
+
+    /**
+     * Put back a dead letter whose retry failed, to be retried again later or, once out of attempts, by the command
+     *
+     * @param letter {DeadLetter} A dead letter taken with {@link DeadLetterQueue#takeReady}
+     * @param reason {*} Why the retry failed
+     * @param now {number} The current time, in milliseconds since the epoch
+     */
+    retryFailed(letter, reason, now) {
+        letter.attempts++;
+        letter.error = String(reason);
+        letter.lastFailed = new Date(now).toISOString();
+        if (letter.attempts >= this.settings.maxAttempts) {
+            letter.status = deadLetterStatuses.EXHAUSTED;
+            letter.nextRetry = null;
+        } else {
+            letter.status = deadLetterStatuses.WAITING;
+            letter.nextRetry = new Date(now + this._getDelay(letter.attempts)).toISOString();
+        }
+        this.retrying.delete(letter);
+    }
+
+    /**
+     * Retry or discard dead letters, which the running syncer will then deal with
+     *
+     * @param task {string|undefined} Only decide on the task with this name or ID. If not given then every dead letter is decided
+     * @param status {string} Either retry or discarded
+     * @return {DeadLetter[]} The dead letters that were decided
+     */
+    decide(task, status) {
+        let decided = this.getWaiting().filter(letter => task === undefined
+            || [letter.name, ...idFields.map(idField => letter.task[idField])]
+                .some(value => value !== null && value !== undefined && String(value) === task));
+        for (let letter of decided) {
+            letter.status = status;
+        }
+        return decided;
+    }
+
+    /**
+     * @return {DeadLetter[]} The dead letters that are waiting to be retried, or on the command
+     */
+    getWaiting() {
+        return this.letters.filter(letter => this.isWaiting(letter));
+    }
+
+    /**
+     * @param letter {DeadLetter}
+     * @return {boolean} True if the dead letter is waiting to be retried, or on the command
+     */
+    isWaiting(letter) {
+        return letter.status === deadLetterStatuses.WAITING || letter.status === deadLetterStatuses.EXHAUSTED;
+    }
+
+    /**
+     * Converts a dead letter back into the task as it was when the change failed to push
+     *
+     * @param letter {DeadLetter}
+     * @return {Task} A task holding those values
+     */
+    toTask(letter) {
+        let task = new Task();
+        for (let field in letter.task) {
+            if (letter.task.hasOwnProperty(field) && task.fields.hasOwnProperty(field)) {
+                task.fields[field] = letter.task[field];
+            }
+        }
+        return task;
+    }
+
+    /**
+     * @param attempts {number} The number of attempts that have failed so far
+     * @return {number} How long to wait before the next, in milliseconds
+     * @private
+     */
+    _getDelay(attempts) {
+        return Math.min(this.settings.maxDelay, this.settings.baseDelay * Math.pow(2, attempts - 1)) * 1000;
+    }
+
+    /**
+     * Take the status of each waiting dead letter that has been retried or discarded on the disk
+     *
+     * @param letters {DeadLetter[]} The dead letters as read from the disk
+     * @private
+     */
+    _keepDecisions(letters) {
+        for (let letter of this.letters) {
+            let stored = letters.find(other => other.id === letter.id);
+            if (stored && this.isWaiting(letter)
+                && (stored.status === deadLetterStatuses.RETRY || stored.status === deadLetterStatuses.DISCARDED)) {
+                letter.status = stored.status;
+            }
+        }
+    }
+
+    /**
+     * Read the dead letters from the disk, once any saves have finished
+     *
+     * @return {Promise<DeadLetter[]>}
+     * @private
+     */
+    _read() {
+        return Promise.resolve(this.lastSave)
+            .catch(() => undefined)
+            .then(() => this._readFile());
+    }
+
+    /**
+     * Read the dead letters from the disk straight away
+     *
+     * @return {Promise<DeadLetter[]>}
+     * @private
+     */
+    _readFile() {
+        return fs.promises.readFile(this.filePath, "utf8")
+            .then(contents => JSON.parse(contents).letters || [])
+            .catch(reason => {
+                if (reason.code === "ENOENT") {
+                    return [];
+                }
+                throw reason;
+            });
+    }
+}
+
+module.exports = new DeadLetterQueue(deadLettersPath || "deadLetters.json", deadLetters);
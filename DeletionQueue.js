@@ -0,0 +1,315 @@
+const fs = require("fs");
+const Task = require("./Task.js");
+const {fields, idFields, deletionStatuses} = require("./Globals");
+const {deletionsPath, deletions} = require("./Config.js").config;
+
+/**
+ * The settings used for anything not given in the `deletions` section of the config
+ * @type {{gracePeriod: number, maxDeletions: number, window: number}}
+ */
+const defaultSettings = {
+    gracePeriod: 300,
+    maxDeletions: 5,
+    window: 60
+};
+
+/**
+ * A deletion seen on one or more services, held back from the others until it is due
+ *
+ * @typedef {{
+ *      id: string
+ *      name: string
+ *      deletedFrom: string[]
+ *      fields: Object.<string, *>
+ *      seen: string
+ *      due: string
+ *      status: string
+ * }} Tombstone
+ */
+
+/**
+ * A persisted queue of deletions that have not yet been pushed to the other services.
+ *
+ * Each deletion is held as a tombstone for `gracePeriod` seconds before it is pushed,
+ * so that a mistake such as archiving a whole Trello list, or a poll that briefly returns nothing, can be caught.
+ * If more than `maxDeletions` arrive within `window` seconds then the queue is paused,
+ * and nothing more is pushed until every held deletion has been confirmed or discarded with the `deletions` command.
+ *
+ * The queue is stored as JSON on the local disk, at the path given by `deletionsPath` in the config,
+ * so that decisions made with the command are picked up by a syncer that is already running.
+ */
+class DeletionQueue {
+    constructor(filePath, settings) {
+        this.filePath = filePath;
+        this.settings = Object.assign({}, defaultSettings, settings);
+        /**
+         * @type {Tombstone[]}
+         */
+        this.tombstones = [];
+        /**
+         * True if too many deletions arrived at once, and so nothing is pushed until they have been looked at
+         * @type {boolean}
+         */
+        this.paused = false;
+        /**
+         * When each recent deletion arrived, in milliseconds since the epoch, to decide when to pause
+         * @type {number[]}
+         */
+        this.recent = [];
+        this.lastSave = Promise.resolve();
+    }
+
+    /**
+     * Load the queue from the disk, replacing anything currently held.
+     * If there is no queue on the disk then it will simply be empty.
+     *
+     * @return {Promise<DeletionQueue>} A promise that finishes when the queue is loaded
+     */
+    load() {
+        return this._read()
+            .then(state => {
+                this.tombstones = state.tombstones;
+                this.paused = state.paused;
+            })
+            .then(() => this);
+    }
+
+    /**
+     * Pick up any deletions confirmed or discarded, or a pause lifted, since the queue was loaded.
+     * Unlike {@link DeletionQueue#load} this keeps anything held since then.
+     * A pause is only lifted once nothing held is left pending, so one caused by deletions the command never saw stays in place.
+     *
+     * @return {Promise<DeletionQueue>} A promise that finishes when the queue is refreshed
+     */
+    refresh() {
+        return this._read()
+            .then(state => {
+                this._keepDecisions(state);
+                this.paused = state.paused || (this.paused && this.getPending().length !== 0);
+            })
+            .then(() => this);
+    }
+
+    /**
+     * Write the queue to the disk, in the same way as the sync state.
+     * The queue on the disk is read again first, so that any deletions confirmed or discarded, or a pause lifted,
+     * with the command since the last refresh are kept rather than written over.
+     *
+     * @return {Promise<void>} A promise that finishes when the queue has been written
+     */
+    save() {
+        const tempPath = `${this.filePath}.tmp`;
+        this.lastSave = this.lastSave
+            .catch(() => undefined) // A failed save should not block later ones
+            .then(() => this._readFile())
+            .then(state => {
+                this._keepDecisions(state);
+                this.paused = this.paused && (state.paused || this.getPending().length !== 0);
+                const data = JSON.stringify({paused: this.paused, tombstones: this.tombstones}, null, 2);
+                return fs.promises.writeFile(tempPath, data, "utf8");
+            })
+            .then(() => fs.promises.rename(tempPath, this.filePath));
+        return this.lastSave;
+    }
+
+    /**
+     * Write the decisions made with the command to the disk, without losing any deletions
+     * a running syncer has held since the queue was loaded. The queue is read again,
+     * and only the tombstones that were decided and are still pending have their status changed.
+     * It is only unpaused if nothing is left pending afterwards
+     *
+     * @param decided {Tombstone[]} The tombstones that were decided, from {@link DeletionQueue#decide}
+     * @return {Promise<void>} A promise that finishes when the decisions have been written
+     */
+    saveDecisions(decided) {
+        return this._read()
+            .then(state => {
+                for (let tombstone of state.tombstones) {
+                    let decision = decided.find(other => other.id === tombstone.id);
+                    if (decision && tombstone.status === deletionStatuses.PENDING) {
+                        tombstone.status = decision.status;
+                    }
+                }
+                this.tombstones = state.tombstones;
+                this.paused = state.paused && this.getPending().length !== 0;
+                return this.save();
+            });
+    }
+
+    /**
+     * Hold back the deletion of a task from some services.
+     * If the task is already held, then the services are added to those it was deleted from.
+     *
+     * @param task {Task} The task that was deleted, still holding the ID's from the services it was deleted from
+     * @param deletedFrom {string[]} The names of the services it was deleted from
+     * @return {Tombstone} The tombstone holding the deletion
+     */
+    hold(task, deletedFrom) {
+        let tombstone = this.find(task);
+        if (tombstone) {
+            tombstone.deletedFrom = [...new Set([...tombstone.deletedFrom, ...deletedFrom])];
+            for (let idField of idFields) {
+                if (!tombstone.fields[idField]) {
+                    tombstone.fields[idField] = task.getField(idField);
+                }
+            }
+            return tombstone;
+        }
+
+        let now = Date.now();
+        tombstone = {
+            id: `${now}-${this.tombstones.length}`,
+            name: task.getField(fields.NAME),
+            deletedFrom: deletedFrom,
+            fields: JSON.parse(JSON.stringify(task.fields)),
+            seen: new Date(now).toISOString(),
+            due: new Date(now + this.settings.gracePeriod * 1000).toISOString(),
+            status: deletionStatuses.PENDING
+        };
+        this.tombstones.push(tombstone);
+
+        this.recent = this.recent.filter(time => time > now - this.settings.window * 1000);
+        this.recent.push(now);
+        if (!this.paused && this.recent.length > this.settings.maxDeletions) {
+            this.paused = true;
+            console.error(`${this.recent.length} deletions were seen within ${this.settings.window} second(s). ` +
+                "No more deletions will be pushed until they are confirmed or discarded with the 'deletions' command");
+        }
+        return tombstone;
+    }
+
+    /**
+     * @param task {Task}
+     * @return {Tombstone|undefined} The tombstone holding the deletion of the task, if it is held
+     */
+    find(task) {
+        return this.tombstones.find(tombstone => task.isSameTask(this.toTask(tombstone)));
+    }
+
+    /**
+     * @param task {Task}
+     * @param service {string} The name of the service
+     * @return {boolean} True if the task is held as deleted from the service, and so shouldn't be written to it
+     */
+    isHeld(task, service) {
+        let tombstone = this.find(task);
+        return !!tombstone && tombstone.deletedFrom.includes(service);
+    }
+
+    /**
+     * Stop holding a deletion, such as when the task came back or was deleted everywhere anyway
+     *
+     * @param tombstone {Tombstone}
+     */
+    remove(tombstone) {
+        this.tombstones = this.tombstones.filter(other => other !== tombstone);
+    }
+
+    /**
+     * Get the deletions that are ready to be dealt with, and remove them from the queue.
+     * These are those that were confirmed or discarded,
+     * along with any still pending that are past their grace period, unless the queue is paused.
+     *
+     * @param now {number} The current time, in milliseconds since the epoch
+     * @return {Tombstone[]} The tombstones ready to be dealt with
+     */
+    takeReady(now) {
+        let ready = this.tombstones.filter(tombstone => tombstone.status !== deletionStatuses.PENDING
+            || (!this.paused && Date.parse(tombstone.due) <= now));
+        this.tombstones = this.tombstones.filter(tombstone => !ready.includes(tombstone));
+        return ready;
+    }
+
+    /**
+     * Confirm or discard pending deletions.
+     * Once nothing is left pending, the queue is no longer paused.
+     *
+     * @param task {string|undefined} Only decide on the task with this name or ID. If not given then every pending deletion is decided
+     * @param status {string} Either confirmed or discarded
+     * @return {Tombstone[]} The tombstones that were decided
+     */
+    decide(task, status) {
+        let decided = this.getPending().filter(tombstone => task === undefined
+            || [tombstone.name, ...idFields.map(idField => tombstone.fields[idField])]
+                .some(value => value !== null && String(value) === task));
+        for (let tombstone of decided) {
+            tombstone.status = status;
+        }
+        if (this.getPending().length === 0) {
+            this.paused = false;
+        }
+        return decided;
+    }
+
+    /**
+     * @return {Tombstone[]} The deletions that are still waiting on their grace period, or a decision
+     */
+    getPending() {
+        return this.tombstones.filter(tombstone => tombstone.status === deletionStatuses.PENDING);
+    }
+
+    /**
+     * Converts a tombstone back into the task as it was before it was deleted
+     *
+     * @param tombstone {Tombstone}
+     * @return {Task} A task holding those values, including the ID's from the services it was deleted from
+     */
+    toTask(tombstone) {
+        let task = new Task();
+        for (let field in tombstone.fields) {
+            if (tombstone.fields.hasOwnProperty(field) && task.fields.hasOwnProperty(field)) {
+                task.fields[field] = tombstone.fields[field];
+            }
+        }
+        return task;
+    }
+
+    /**
+     * Take the status of each held deletion that has been confirmed or discarded on the disk
+     *
+     * @param state {{paused: boolean, tombstones: Tombstone[]}} The queue as read from the disk
+     * @private
+     */
+    _keepDecisions(state) {
+        for (let tombstone of this.tombstones) {
+            let stored = state.tombstones.find(other => other.id === tombstone.id);
+            if (stored && stored.status !== deletionStatuses.PENDING) {
+                tombstone.status = stored.status;
+            }
+        }
+    }
+
+    /**
+     * Read the queue from the disk, once any saves have finished
+     *
+     * @return {Promise<{paused: boolean, tombstones: Tombstone[]}>}
+     * @private
+     */
+    _read() {
+        return Promise.resolve(this.lastSave)
+            .catch(() => undefined)
+            .then(() => this._readFile());
+    }
+
+    /**
+     * Read the queue from the disk straight away
+     *
+     * @return {Promise<{paused: boolean, tombstones: Tombstone[]}>}
+     * @private
+     */
+    _readFile() {
+        return fs.promises.readFile(this.filePath, "utf8")
+            .then(contents => {
+                let state = JSON.parse(contents);
+                return {paused: !!state.paused, tombstones: state.tombstones || []};
+            })
+            .catch(reason => {
+                if (reason.code === "ENOENT") {
+                    return {paused: false, tombstones: []};
+                }
+                throw reason;
+            });
+    }
+}
+
+module.exports = new DeletionQueue(deletionsPath || "deletions.json", deletions);
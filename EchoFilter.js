@@ -0,0 +1,95 @@
+const {fields} = require("./Globals");
+
+/**
+ * Remembers the values the syncer has written to each service, so that they can be told apart from real changes.
+ *
+ * Services that are polled may report a value the syncer wrote itself, either because the poll happened
+ * before a later write went through, or because several writes were queued behind the rate limit.
+ * Without this, that old value would be seen as a new change and pushed back to every other service,
+ * undoing the later change and bouncing between the services.
+ *
+ * For each task, service and field the values written since the service last caught up are kept in order.
+ * A value seen on the service that is one of these is an echo, and once the service reports the latest one
+ * it has caught up so they are all forgotten. Any other value is a real change, and also means they can be forgotten.
+ */
+class EchoFilter {
+    constructor() {
+        /**
+         * The values written to each service that it hasn't caught up with, keyed by task, then service, then field.
+         * Each value is held as JSON so that arrays can be compared.
+         * @type {WeakMap<Task, Object.<string, Object.<string, string[]>>>}
+         */
+        this.pending = new WeakMap();
+    }
+
+    /**
+     * Remember the values that were written to a service
+     *
+     * @param service {string} The name of the service that was written to
+     * @param task {Task} The task that was written
+     * @param [writtenFields] {string[]} The fields that were written. Defaults to every field
+     * @param [written] {Task} The values that were written, if they differ from those on the task
+     */
+    recordWritten(service, task, writtenFields, written) {
+        written = written || task;
+        let pending = this._getPending(service, task);
+        for (let field of writtenFields || Object.values(fields)) {
+            let values = pending[field] || (pending[field] = []);
+            let value = JSON.stringify(written.getField(field));
+            if (values[values.length - 1] !== value) {
+                values.push(value);
+            }
+        }
+    }
+
+    /**
+     * Removes the fields that only differ because the service is reporting a value the syncer wrote to it
+     *
+     * @param service {string} The name of the service the changes were seen on
+     * @param task {Task} The task as it is locally
+     * @param remote {Task} The task as it is on the service
+     * @param alteredFields {string[]} The fields that differ between the two
+     * @return {string[]} The fields that really were changed on the service
+     */
+    filterEchoes(service, task, remote, alteredFields) {
+        let pending = this._getPending(service, task);
+        return alteredFields.filter(field => {
+            let values = pending[field];
+            let value = JSON.stringify(remote.getField(field));
+            if (!values || !values.includes(value)) { // A real change, so the old writes no longer matter
+                delete pending[field];
+                return true;
+            }
+            if (values[values.length - 1] === value) { // Caught up with everything written
+                delete pending[field];
+            }
+            console.debug(`Ignored echo of field '${field}' on ${service} for task '${task.getField(fields.NAME)}'`);
+            return false;
+        });
+    }
+
+    /**
+     * Forget everything written for a task, such as when it is deleted
+     *
+     * @param task {Task} The task to forget
+     */
+    forget(task) {
+        this.pending.delete(task);
+    }
+
+    /**
+     * @param service {string}
+     * @param task {Task}
+     * @return {Object.<string, string[]>} The values pending for each field
+     * @private
+     */
+    _getPending(service, task) {
+        if (!this.pending.has(task)) {
+            this.pending.set(task, {});
+        }
+        let services = this.pending.get(task);
+        return services[service] || (services[service] = {});
+    }
+}
+
+module.exports = new EchoFilter();
@@ -0,0 +1,143 @@
+const tokens = require("./Config.js").tokens;
+const {github} = require("./Config.js").config;
+const BaseApiRequester = require("./BaseApiRequester.js");
+
+/**
+ * The number of issues to request in each page
+ * @type {number}
+ */
+const pageSize = 100;
+
+/**
+ * An API requester that interfaces with the issues of a GitHub repository.
+ *
+ * @typedef {{
+ *      number: number
+ *      title: string
+ *      body: (string|null)
+ *      labels: [{name: string}]
+ *      state: string
+ *      updated_at: string
+ *      html_url: string
+ *      [pull_request]: Object
+ * }} RawGitHub
+ *
+ */
+class GitHubApiRequester extends BaseApiRequester {
+    constructor(token, baseUrl, owner, repo) {
+        // GitHub allows 5000 requests an hour, but only 80 that create content each minute,
+        // and asks that requests are made one at a time
+        super(80, 60, 1);
+        this.token = token;
+        this.baseUrl = baseUrl.replace(/\/$/, "");
+        this.owner = owner;
+        this.repo = repo;
+    }
+
+    getName() {
+        return "GitHubRequester"
+    }
+
+    /**
+     * Gets a page of open issues with the given label
+     * @param label {string} The label the issues must have
+     * @param pageNum {number} The number of the page to get, starting at 1
+     * @return {Promise<[RawGitHub]>} A promise which is fulfilled by the request response
+     */
+    getIssuePage(label, pageNum) {
+        return this.queueRequest(this.buildGitHubRequest("GET", "issues", undefined, {
+            labels: label,
+            state: "open",
+            per_page: pageSize,
+            page: pageNum
+        }));
+    }
+
+    async _getAllIssues(label) {
+        let result = [];
+        let page = 1;
+        let response;
+        do {
+            response = await this.getIssuePage(label, page++);
+            // The issues endpoint also returns pull requests, which aren't tasks
+            result.push(...response.filter(issue => !issue.pull_request));
+        } while (response.length === pageSize);
+        return result;
+    }
+
+    /**
+     * Gets every open issue with the given label
+     * @param label {string} The label the issues must have
+     * @return {Promise<[RawGitHub]>}
+     */
+    getAllIssues(label) {
+        return this._getAllIssues(label);
+    }
+
+    /**
+     * Gets a single issue, whether it is open or closed
+     * @param number {number} The number of the issue to get
+     * @param [priority] {number} How urgent the request is, from {@link requestPriorities}
+     * @return {Promise<RawGitHub>} A promise which is fulfilled by the request response
+     */
+    getIssue(number, priority) {
+        return this.queueRequest(this.buildGitHubRequest("GET", `issues/${number}`), priority);
+    }
+
+    /**
+     * Creates a new issue
+     * @param data The data to set on the new issue
+     * @param [priority] {number} How urgent the request is, from {@link requestPriorities}
+     * @return {Promise<RawGitHub>} A promise which is fulfilled by the request response
+     */
+    createIssue(data, priority) {
+        return this.queueRequest(this.buildGitHubRequest("POST", "issues", data), priority);
+    }
+
+    /**
+     * Updates an existing issue
+     * @param number {number} The number of the issue to update
+     * @param data The data to update the issue with
+     * @param [priority] {number} How urgent the request is, from {@link requestPriorities}
+     * @return {Promise<RawGitHub>} A promise which is fulfilled by the request response
+     */
+    updateIssue(number, data, priority) {
+        return this.queueRequest(this.buildGitHubRequest("PATCH", `issues/${number}`, data), priority);
+    }
+
+    /**
+     * Closes an issue. Issues can't be deleted through the API, so this is the closest thing
+     * @param number {number} The number of the issue to close
+     * @param [priority] {number} How urgent the request is, from {@link requestPriorities}
+     * @return {Promise<RawGitHub>} A promise which is fulfilled by the request response
+     */
+    closeIssue(number, priority) {
+        return this.updateIssue(number, {state: "closed"}, priority);
+    }
+
+    /**
+     * Builds a request to the issues of the repository
+     *
+     * @param method {string} The HTTP method to use
+     * @param path {string} The path under the repository to make the request to
+     * @param [data] The body of the request
+     * @param [queries] Any query args to include
+     * @return {{method: string, uri: string, headers: Object, qs: Object, body: *, json: boolean}}
+     */
+    buildGitHubRequest(method, path, data, queries) {
+        return {
+            method: method,
+            uri: `${this.baseUrl}/repos/${this.owner}/${this.repo}/${path}`,
+            headers: {
+                "Authorization": `token ${this.token}`,
+                "Accept": "application/vnd.github.v3+json",
+                "User-Agent": "TaskSyncer"
+            },
+            qs: queries || {},
+            body: data,
+            json: true
+        };
+    }
+}
+
+module.exports = new GitHubApiRequester(tokens.githubToken, github.baseUrl || "https://api.github.com", github.owner, github.repo);
@@ -0,0 +1,260 @@
+const requester = require("./GitHubApiRequester.js");
+const {fields} = require("./Globals");
+const {github} = require("./Config.js").config;
+const ApiInterface = require("./ApiInterface.js");
+const Task = require("./Task.js");
+
+/**
+ * The label an issue needs in order to be synced
+ * @type {string}
+ */
+const taskLabel = github.label || "gci";
+
+/**
+ * The label used for each category, keyed by category.
+ * Every category needs one, as a category without a label would be lost when the issue is read back
+ * @type {Object.<string, string>}
+ */
+const categoryLabels = github.categoryLabels;
+const catLookup = Object.entries(categoryLabels).reduce((ret, entry) => {
+    const [key, value] = entry;
+    ret[value] = key;
+    return ret;
+}, {});
+
+/**
+ * The fields that are kept in the hidden marker at the end of the issue body.
+ * This is the ID's of the other services, along with anything an issue has nowhere else to store.
+ * @type {string[]}
+ */
+const markerFields = [
+    fields.GOOGLE_ID,
+    fields.TRELLO_ID,
+    fields.MAX_INSTANCES,
+    fields.IS_BEGINNER,
+    fields.DAYS
+];
+const markerPattern = /\s*<!-- TaskSyncer (.*?) -->\s*$/;
+
+/**
+ * An interface between the issues of a GitHub repository and the internal data representation.
+ *
+ * Only open issues with the task label are synced.
+ * The title and body are used as the name and description, labels matching a category are used as the categories
+ * and any other labels are used as tags.
+ * Everything else is stored as JSON in a hidden comment at the end of the body.
+ *
+ * @see ApiInterface
+ */
+class GitHubInterface extends ApiInterface {
+    /**
+     * @inheritDoc
+     */
+    updateOtherId(task, priority) {
+        return requester.updateIssue(task.getField(fields.GITHUB_ID), {body: this.serialiseBody(task)}, priority)
+            .then(() => task);
+    }
+
+    /**
+     * @inheritDoc
+     */
+    loadAllTasks(taskList) {
+        return requester.getAllIssues(taskLabel).then(rawIssues => {
+            for (let rawIssue of rawIssues) {
+                let task = taskList.getOrMakeTask(task => this.doesTaskMatchData(task, rawIssue));
+                this.loadIntoTask(rawIssue, task);
+                console.log(`Loaded issue '${task.getField(fields.NAME)}' from GitHub`);
+            }
+            return taskList;
+        });
+    }
+
+    /**
+     * @inheritDoc
+     *
+     * Closed issues, pull requests and issues without the task label count as missing.
+     */
+    loadTask(task, priority) {
+        if (!task.getField(fields.GITHUB_ID)) {
+            return Promise.resolve(undefined);
+        }
+        return requester.getIssue(task.getField(fields.GITHUB_ID), priority)
+            .then(rawIssue => {
+                if (rawIssue.state !== "open" || rawIssue.pull_request
+                    || !rawIssue.labels.some(label => label.name === taskLabel)) {
+                    return undefined;
+                }
+                let loaded = new Task();
+                this.loadIntoTask(rawIssue, loaded);
+                console.log(`Loaded issue '${loaded.getField(fields.NAME)}' from GitHub`);
+                return loaded;
+            })
+            .catch(reason => {
+                if (reason.statusCode === 404 || reason.statusCode === 410) { // The issue is gone
+                    return undefined;
+                }
+                throw reason;
+            });
+    }
+
+    /**
+     * @inheritDoc
+     */
+    writeTask(task, priority) {
+        task.resetUpdatedFields();
+        return this.writeOrCreate(task, priority)
+            .then(() => {
+                if (task.wasFieldUpdated(fields.GITHUB_ID)) {// We made a new issue
+                    console.log(`Issue '${task.getField(fields.NAME)}' created on GitHub`);
+                } else {
+                    console.log(`Issue '${task.getField(fields.NAME)}' updated on GitHub`);
+                }
+                return task;
+            });
+    }
+
+    /**
+     * @inheritDoc
+     *
+     * As issues can't be deleted, the issue is closed instead.
+     */
+    deleteTask(task, priority) {
+        return requester.closeIssue(task.getField(fields.GITHUB_ID), priority)
+            .catch(reason => {
+                if (reason.statusCode !== 404) { // Already gone
+                    throw reason;
+                }
+            });
+    }
+
+    /**
+     * Attempts to either write the given data to a pre-existing issue,
+     * If that fails, then falls back to creating a new issue instead
+     *
+     * @param task {Task} The task to update/create
+     * @param [priority] {number} How urgent the requests are, from {@link requestPriorities}
+     * @return {Promise<RawGitHub>} The raw issue data
+     */
+    writeOrCreate(task, priority) {
+        let rawIssue = this.taskToRaw(task);
+        if (task.getField(fields.GITHUB_ID)) {
+            return requester.updateIssue(task.getField(fields.GITHUB_ID), rawIssue, priority)
+                .catch(reason => {
+                    if (reason.statusCode === 404 || reason.statusCode === 410) { // The issue is gone, so make a new one
+                        console.log(`Updating issue '${task.getField(fields.NAME)}' failed. Creating new issue`);
+                        return requester.createIssue(rawIssue, priority)
+                            .tap(response => task.setField(fields.GITHUB_ID, response.number));
+                    }
+                    throw reason;
+                });
+        } else {
+            return requester.createIssue(rawIssue, priority)
+                .tap(response => task.setField(fields.GITHUB_ID, response.number));
+        }
+    }
+
+    /**
+     * Converts a task into the raw data used by GitHub
+     *
+     * @param task {Task} The task to convert
+     * @return {{title: string, body: string, labels: string[]}} The data in GitHub format
+     */
+    taskToRaw(task) {
+        let labels = [taskLabel];
+        for (let category of task.getField(fields.CATEGORIES) || []) {
+            if (categoryLabels[category]) {
+                labels.push(categoryLabels[category]);
+            }
+        }
+        labels.push(...(task.getField(fields.TAGS) || []));
+
+        return {
+            title: task.getField(fields.NAME) || "",
+            body: this.serialiseBody(task),
+            labels: labels
+        };
+    }
+
+    /**
+     * Builds the body of the issue, with the hidden marker at the end
+     *
+     * @param task {Task} The task to build the body for
+     * @return {string} The body of the issue
+     */
+    serialiseBody(task) {
+        let marker = {};
+        for (let field of markerFields) {
+            marker[field] = task.getField(field);
+        }
+        let description = task.getField(fields.DESCRIPTION) || "";
+        // Stop the JSON from being able to close the comment early
+        let json = JSON.stringify(marker).replace(/--/g, "-\\u002d");
+        return `${description}\n\n<!-- TaskSyncer ${json} -->`;
+    }
+
+    /**
+     * Reads the hidden marker from the body of an issue
+     *
+     * @param body {string|null} The body of the issue
+     * @return {{description: string, marker: Object}} The body without the marker, and the values held in the marker
+     */
+    parseBody(body) {
+        body = body || "";
+        let match = body.match(markerPattern);
+        if (!match) {
+            return {description: body, marker: {}};
+        }
+        let marker = {};
+        try {
+            marker = JSON.parse(match[1]);
+        } catch (reason) {
+            console.error(`Could not read the TaskSyncer marker in an issue: ${reason}`);
+        }
+        return {description: body.slice(0, match.index), marker: marker};
+    }
+
+    /**
+     * Attempts to match a task by the issue number, or by the ID's held in the hidden marker.
+     *
+     * @param task {Task} The task to match with
+     * @param data {RawGitHub} The data to match with
+     * @return {Boolean} True if the data and the task match, False otherwise
+     */
+    doesTaskMatchData(task, data) {
+        if (task.getField(fields.GITHUB_ID) === data.number) {
+            return true;
+        }
+        let {marker} = this.parseBody(data.body);
+        return [fields.GOOGLE_ID, fields.TRELLO_ID]
+            .some(field => marker[field] && task.getField(field) === marker[field]);
+    }
+
+    /**
+     *  Overwrite a task with the given data.
+     *
+     *  The field is only overwritten following the rules given in {@link ApiInterface#loadAllTasks()}
+     *
+     * @param data {RawGitHub} The data to write in
+     * @param task {Task} The task to overwrite
+     */
+    loadIntoTask(data, task) {
+        let {description, marker} = this.parseBody(data.body);
+        let labels = data.labels.map(label => label.name).filter(label => label !== taskLabel);
+
+        task.setIfData(fields.GITHUB_ID, data.number);
+        task.setIfData(fields.NAME, data.title);
+        task.setIfData(fields.DESCRIPTION, description);
+        task.setIfData(fields.CATEGORIES, labels.filter(label => catLookup[label]).map(label => parseInt(catLookup[label])));
+        task.setIfData(fields.TAGS, labels.filter(label => !catLookup[label]));
+        for (let field of markerFields) {
+            if (marker.hasOwnProperty(field)) {
+                task.setIfData(field, marker[field]);
+            }
+        }
+
+        // Read-only fields
+        task.setIfData(fields.LAST_MODIFIED, data.updated_at);
+    }
+}
+
+module.exports = new GitHubInterface();
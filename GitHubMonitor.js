@@ -0,0 +1,125 @@
+const SiteMonitor = require("./SiteMonitor.js");
+const requester = require("./GitHubApiRequester.js");
+const githubInterface = require("./GitHubInterface.js");
+const googleMonitor = require("./GoogleMonitor.js");
+const journal = require("./AuditJournal.js");
+const echoFilter = require("./EchoFilter.js");
+const {github} = require("./Config.js").config;
+const {fields, idFields} = require("./Globals");
+
+/**
+ * The ID fields that are stored on GitHub. Any others are left alone when polling
+ * @type {string[]}
+ */
+const storedIds = [fields.GOOGLE_ID, fields.TRELLO_ID, fields.GITHUB_ID];
+
+/**
+ * Polls the issues of a GitHub repository for changes
+ */
+class GitHubMonitor extends SiteMonitor {
+    /**
+     * True while a poll is running, so that a slow one isn't overlapped by the next
+     * @type {boolean}
+     */
+    pollInProgress = false;
+
+    /**
+     * @inheritDoc
+     */
+    setupMonitoring(taskList) {
+        let pollRate = github.pollRate || 60;
+        this.monitoredList = taskList;
+        setInterval(() => {
+            if (this.pollInProgress) {
+                console.warn("The last poll of GitHub is still running, so this one is skipped");
+                return;
+            }
+            this.pollInProgress = true;
+            this.doPoll()
+                .catch(reason => console.error(`Polling of GitHub failed: ${reason}`))
+                .finally(() => {
+                    this.pollInProgress = false;
+                });
+        }, pollRate * 1000);
+        console.log(`Setup GitHub polling at interval of ${pollRate} second(s)`)
+    }
+
+    async doPoll() {
+        console.log("Beginning polling of GitHub");
+
+        let rawIssues = await requester.getAllIssues(github.label || "gci");
+        let allIssues = new Set(this.monitoredList.getTasks()
+            .map(task => task.getField(fields.GITHUB_ID))
+            .filter(number => number));
+
+        for (let rawIssue of rawIssues) {
+            let task = this.monitoredList.getTask(task => githubInterface.doesTaskMatchData(task, rawIssue));
+            if (task) { // Existing issue
+                allIssues.delete(task.getField(fields.GITHUB_ID));
+
+                let remote = this.monitoredList.getDefaultTask();
+                githubInterface.loadIntoTask(rawIssue, remote);
+
+                let alteredFields = googleMonitor.detectDifferences(task, remote)
+                    .filter(field => !idFields.includes(field) || storedIds.includes(field));
+                alteredFields = echoFilter.filterEchoes("github", task, remote, alteredFields);
+                if (alteredFields.length !== 0) {
+                    journal.recordEvent("github", "updated", null, task,
+                        journal.changesBetween(task.fields, remote.fields, alteredFields));
+                    this.onIssueAltered(task, remote, alteredFields);
+                    this.alteredCallback(task, alteredFields);
+                }
+            } else { // Created issue
+                task = this.onIssueCreated(rawIssue);
+                journal.recordEvent("github", "created", null, task, journal.changesBetween(undefined, task.fields));
+                this.createdCallback(task);
+            }
+        }
+
+        for (let number of allIssues) {
+            let task = this.monitoredList.getTask(task => task.getField(fields.GITHUB_ID) === number);
+            this.onIssueDeleted(task);
+            journal.recordEvent("github", "deleted", null, task);
+            this.deletedCallback(task);
+        }
+        console.log("Finished polling of GitHub")
+    }
+
+    /**
+     *
+     * @param local {Task}
+     * @param remote {Task}
+     * @param alteredFields {string[]}
+     */
+    onIssueAltered(local, remote, alteredFields) {
+        for (let alteredField of alteredFields) {
+            local.setField(alteredField, remote.getField(alteredField))
+        }
+
+        console.log(`Issue '${local.getField(fields.NAME)}' (${local.getField(fields.GITHUB_ID)}) updated.`);
+    }
+
+    /**
+     *
+     * @param rawIssue {RawGitHub}
+     * @return {Task}
+     */
+    onIssueCreated(rawIssue) {
+        let task = this.monitoredList.createTask();
+        githubInterface.loadIntoTask(rawIssue, task);
+        console.log(`Issue '${task.getField(fields.NAME)}' (${task.getField(fields.GITHUB_ID)}) created.`);
+        return task;
+    }
+
+    /**
+     * Handles an issue being closed, or losing the task label
+     *
+     * @param task {Task}
+     */
+    onIssueDeleted(task) {
+        this.monitoredList.deleteThisTask(task);
+        console.log(`Issue '${task.getField(fields.NAME)}' (${task.getField(fields.GITHUB_ID)}) deleted.`);
+    }
+}
+
+module.exports = new GitHubMonitor();
@@ -26,6 +26,8 @@ const writeTypes = {
 const fields = {
     GOOGLE_ID: "googleId",
     TRELLO_ID: "trelloId",
+    GITHUB_ID: "githubId",
+    MARKDOWN_ID: "markdownId",
     NAME: "name",
     DESCRIPTION: "desc",
     STATUS: "status",
@@ -42,8 +44,116 @@ const fields = {
     COMPLETED_COUNT: "completed"
 };
 
+/**
+ * The fields that hold the ID of the entry for a task on each service.
+ * Two tasks sharing a value in any of these fields refer to the same thing.
+ * @type {string[]}
+ */
+const idFields = [
+    fields.GOOGLE_ID,
+    fields.TRELLO_ID,
+    fields.GITHUB_ID,
+    fields.MARKDOWN_ID
+];
+
+/**
+ * The ways in which a field altered on more than one service can be resolved when merging.
+ * @type {{GOOGLE_WINS: string, TRELLO_WINS: string, GITHUB_WINS: string, MARKDOWN_WINS: string, NEWEST_WINS: string, CONFLICT: string}}
+ */
+const mergePolicies = {
+    GOOGLE_WINS: "google",
+    TRELLO_WINS: "trello",
+    GITHUB_WINS: "github",
+    MARKDOWN_WINS: "markdown",
+    NEWEST_WINS: "newest",
+    CONFLICT: "conflict"
+};
+
+/**
+ * The actions that syncing can take on a service
+ * @type {{NONE: string, CREATE: string, DELETE: string, UPDATE: string}}
+ */
+const syncActions = {
+    NONE: "none",
+    CREATE: "create",
+    DELETE: "delete",
+    UPDATE: "update"
+};
+
+/**
+ * The states a deletion can be in while it is held back from the other services
+ * @type {{PENDING: string, CONFIRMED: string, DISCARDED: string}}
+ */
+const deletionStatuses = {
+    PENDING: "pending",
+    CONFIRMED: "confirmed",
+    DISCARDED: "discarded"
+};
+
+/**
+ * The changes seen on a service that can be pushed to the others, named after the monitor callback for each
+ * @type {{CREATED: string, DELETED: string, ALTERED: string}}
+ */
+const propagations = {
+    CREATED: "created",
+    DELETED: "deleted",
+    ALTERED: "altered"
+};
+
+/**
+ * The states a change that failed to push can be in while held as a dead letter
+ * @type {{WAITING: string, EXHAUSTED: string, RETRY: string, DISCARDED: string, IN_FLIGHT: string}}
+ */
+const deadLetterStatuses = {
+    WAITING: "waiting", // Retried automatically once due
+    EXHAUSTED: "exhausted", // Out of automatic retries, so only retried or discarded with the command
+    RETRY: "retry",
+    DISCARDED: "discarded",
+    IN_FLIGHT: "in-flight" // Being retried, and kept until that succeeds in case the syncer stops part way through
+};
+
+/**
+ * The ways changes on Trello can be found while monitoring
+ * @type {{WEBHOOKS: string, POLLING: string}}
+ */
+const trelloModes = {
+    WEBHOOKS: "webhooks", // Trello sends each change to `callbackUrl`
+    POLLING: "polling" // The category lists are read every `trelloPollRate` seconds, for when Trello can't reach the syncer
+};
+
+/**
+ * How urgent a request to a service is. Requests are sent in this order, with lower values first
+ * @type {{INTERACTIVE: number, NORMAL: number, BULK: number}}
+ */
+const requestPriorities = {
+    INTERACTIVE: 0, // Pushing a change seen while monitoring
+    NORMAL: 1,
+    BULK: 2 // Writing every task, or everything found when syncing
+};
+
+/**
+ * The codes the command line exits with
+ * @type {{SUCCESS: number, FAILURE: number, USAGE: number, CHANGES: number, INVALID_CONFIG: number}}
+ */
+const exitCodes = {
+    SUCCESS: 0,
+    FAILURE: 1,
+    USAGE: 2,
+    CHANGES: 3, // Finished, but there are changes or conflicts needing attention
+    INVALID_CONFIG: 4
+};
+
 module.exports = {
     categories: categories,
     writeTypes: writeTypes,
-    fields: fields
+    fields: fields,
+    idFields: idFields,
+    mergePolicies: mergePolicies,
+    syncActions: syncActions,
+    deletionStatuses: deletionStatuses,
+    propagations: propagations,
+    deadLetterStatuses: deadLetterStatuses,
+    trelloModes: trelloModes,
+    requestPriorities: requestPriorities,
+    exitCodes: exitCodes
 };
\ No newline at end of file
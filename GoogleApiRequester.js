@@ -1,4 +1,4 @@
-const tokens = require('./tokens.json');
+const tokens = require("./Config.js").tokens;
 const BaseApiRequester = require("./BaseApiRequester.js");
 
 /**
@@ -33,9 +33,13 @@ const BaseApiRequester = require("./BaseApiRequester.js");
  */
 class GoogleApiRequester extends BaseApiRequester {
     constructor(googleToken) {
-        super(95);
+        super(95, 10, 4); // GCI doesn't publish a limit, so this keeps to the one the syncer has always used
         this.token = googleToken;
-        this.start();
+        /**
+         * The number of pages of tasks requested so far, so that polling can report how many requests it used
+         * @type {number}
+         */
+        this.pagesRequested = 0;
     }
 
     getName() {
@@ -47,28 +51,41 @@ class GoogleApiRequester extends BaseApiRequester {
      *
      * @param task The id of the task to update
      * @param data The data to update the task to
+     * @param [priority] {number} How urgent the request is, from {@link requestPriorities}
      * @returns {Promise<RawGoogle>} A promise which is fulfilled by the request response
      */
-    updateTask(task, data) {
-        return this.queueRequest(this.buildGooglePut(task, data));
+    updateTask(task, data, priority) {
+        return this.queueRequest(this.buildGooglePut(task, data), priority);
     }
 
     /**
      * Creates a new task on the google site
      * @param data The data to set on the new task
+     * @param [priority] {number} How urgent the request is, from {@link requestPriorities}
      * @returns {Promise<RawGoogle>} A promise which is fulfilled by the request response
      */
-    createTask(data) {
-        return this.queueRequest(this.buildGooglePost(data));
+    createTask(data, priority) {
+        return this.queueRequest(this.buildGooglePost(data), priority);
     }
 
     /**
      *
      * @param id {String} The ID of the task to delete
+     * @param [priority] {number} How urgent the request is, from {@link requestPriorities}
      * @return {Promise<>} A promise that is fulfilled when the deletion goes through
      */
-    deleteTask(id) {
-        return this.queueRequest(this.buildGoogleDelete(id));
+    deleteTask(id, priority) {
+        return this.queueRequest(this.buildGoogleDelete(id), priority);
+    }
+
+    /**
+     * Gets a single task
+     * @param id {number} The ID of the task to get
+     * @param [priority] {number} How urgent the request is, from {@link requestPriorities}
+     * @returns {Promise<RawGoogle>} A promise which is fulfilled by the request response
+     */
+    getTask(id, priority) {
+        return this.queueRequest(this.buildGoogleGet(`tasks/${id}`, ""), priority);
     }
 
     /**
@@ -77,6 +94,7 @@ class GoogleApiRequester extends BaseApiRequester {
      * @returns {Promise<{}>} A promise which is fulfilled by the request response
      */
     getTaskPage(pageNum) {
+        this.pagesRequested++;
         return this.queueRequest(this.buildGoogleGet('tasks', pageNum));
     }
 
@@ -103,6 +121,41 @@ class GoogleApiRequester extends BaseApiRequester {
         return this._getAllTasks();
     }
 
+    /**
+     * Gets the tasks modified at or after a given time.
+     * Pages are requested newest first, and no more are requested once a page reaches tasks older than that time.
+     * If the site doesn't return them in order, then every page is read instead, so that no changes are missed.
+     *
+     * @param since {number} The time to get changes from, in milliseconds since the epoch
+     * @return {Promise<RawGoogle[]>} The tasks modified since then
+     */
+    async getTasksModifiedSince(since) {
+        let next = "ordering=-last_modified";
+        let result = [];
+        let previous = Infinity;
+        let ordered = true;
+        while (next) {
+            let response = await this.getTaskPage(next);
+            let reachedOlder = false;
+            for (let rawTask of response.results) {
+                let modified = Date.parse(rawTask.last_modified);
+                ordered = ordered && !(modified > previous);
+                previous = modified;
+                if (modified >= since) {
+                    result.push(rawTask);
+                } else {
+                    reachedOlder = true;
+                }
+            }
+            if (!ordered && !this.warnedUnordered) {
+                console.warn("The GCI site did not return tasks newest first, so every page will be read when polling");
+                this.warnedUnordered = true;
+            }
+            next = response.next && !(ordered && reachedOlder) ? response.next.split("?")[1] : null;
+        }
+        return result;
+    }
+
     /**
      * Performs a GET request to the Google api
      *
@@ -1,6 +1,7 @@
 const requester = require("./GoogleApiRequester.js");
 const {fields} = require("./Globals");
 const ApiInterface = require("./ApiInterface.js");
+const Task = require("./Task.js");
 
 /**
  * An interface between the Google Code-In site, and the internal data representation
@@ -11,8 +12,8 @@ class GoogleInterface extends ApiInterface {
     /**
      * @inheritDoc
      */
-    updateOtherId(task) {
-        return requester.updateTask(task, this.taskToRaw(task))
+    updateOtherId(task, priority) {
+        return requester.updateTask(task.getField(fields.GOOGLE_ID), this.taskToRaw(task), priority)
             .then(() => task);
     }
 
@@ -33,23 +34,43 @@ class GoogleInterface extends ApiInterface {
     /**
      * @inheritDoc
      */
-    writeTask(task) {
+    loadTask(task, priority) {
+        if (!task.getField(fields.GOOGLE_ID)) {
+            return Promise.resolve(undefined);
+        }
+        return requester.getTask(task.getField(fields.GOOGLE_ID), priority)
+            .then(rawTask => {
+                let loaded = new Task();
+                this.loadIntoTask(rawTask, loaded);
+                console.log(`Loaded task '${loaded.getField(fields.NAME)}' from GCI`);
+                return loaded;
+            })
+            .catch(reason => {
+                if (reason.statusCode === 404) { // The task was deleted
+                    return undefined;
+                }
+                throw reason;
+            });
+    }
+
+    /**
+     * @inheritDoc
+     */
+    writeTask(task, priority) {
         task.resetUpdatedFields();
-        return this.writeOrCreate(task)
+        return this.writeOrCreate(task, priority)
             .then(() => {
                 if (task.wasFieldUpdated(fields.GOOGLE_ID)) {// We made a new task
                     console.log(`Task '${task.getField(fields.NAME)}' created on GCI`);
-                    task.googleTaskMade = true;
                 } else {
                     console.log(`Task '${task.getField(fields.NAME)}' updated on GCI`);
-                    task.googleTaskMade = false;
                 }
                 return task;
             });
     }
 
-    deleteTask(task) {
-        return requester.deleteTask(task.getField(fields.GOOGLE_ID));
+    deleteTask(task, priority) {
+        return requester.deleteTask(task.getField(fields.GOOGLE_ID), priority);
     }
 
     /**
@@ -57,22 +78,24 @@ class GoogleInterface extends ApiInterface {
      * If that fails, then falls back to creating a new entry and updating that instead
      *
      * @param task {Task} The task to update/create
+     * @param [priority] {number} How urgent the requests are, from {@link requestPriorities}
      * @return {Promise<RawGoogle>} The raw task data
      */
-    writeOrCreate(task) {
+    writeOrCreate(task, priority) {
         let rawTask = this.taskToRaw(task);
         if (task.getField(fields.GOOGLE_ID)) {
-            return requester.updateTask(task.getField(fields.GOOGLE_ID), rawTask)
+            return requester.updateTask(task.getField(fields.GOOGLE_ID), rawTask, priority)
                 .catch(
                     reason => {
                         if (reason.statusCode === 404) { // 404 code indicates the ID is bogus and we need to make a new task
                             console.log(`Updating task '${task.getField(fields.NAME)}' failed. Creating new task`);
-                            return requester.createTask(rawTask)
+                            return requester.createTask(rawTask, priority)
                                 .tap(response => task.setField(fields.GOOGLE_ID, response.id));
                         }
+                        throw reason;
                     });
         } else {
-            return requester.createTask(rawTask)
+            return requester.createTask(rawTask, priority)
                 .tap(response => task.setField(fields.GOOGLE_ID, response["id"]));
         }
     }
@@ -1,26 +1,131 @@
 const SiteMonitor = require("./SiteMonitor.js");
 const requester = require("./GoogleApiRequester.js");
 const googleInterface = require("./GoogleInterface.js");
-const {googlePollRate} = require("./config.json");
-const {fields, categories} = require("./Globals");
+const journal = require("./AuditJournal.js");
+const echoFilter = require("./EchoFilter.js");
+const metrics = require("./Metrics.js");
+const health = require("./Health.js");
+const {googlePollRate, googleFullPollRate} = require("./Config.js").config;
+const {fields, idFields, categories} = require("./Globals");
 
+/**
+ * The ID fields that are stored on the GCI site. Any others are left alone when polling
+ * @type {string[]}
+ */
+const storedIds = [fields.GOOGLE_ID, fields.TRELLO_ID];
+
+/**
+ * How often, in seconds, every task is read to look for deletions when the config doesn't say
+ * @type {number}
+ */
+const defaultFullPollRate = 600;
+
+/**
+ * How long polling the GCI site takes, so that the poll rates can be tuned
+ *
+ * @typedef {{
+ *      polls: number
+ *      fullPolls: number
+ *      lastStarted: (string|null)
+ *      lastFull: boolean
+ *      lastDuration: number
+ *      lastPages: number
+ *      lastTasks: number
+ *      averageDuration: number
+ *      maxDuration: number
+ * }} PollStats
+ */
+
+/**
+ * Polls the GCI site for changes.
+ *
+ * Most polls only read the tasks modified since the newest one already seen.
+ * Deleted tasks don't show up as modified, so every `googleFullPollRate` seconds every task is read instead.
+ */
 class GoogleMonitor extends SiteMonitor {
+    /**
+     * The newest modification time seen on the site, in milliseconds since the epoch, or undefined if nothing has been read yet
+     * @type {number|undefined}
+     */
+    newestModified = undefined;
+
+    /**
+     * When every task was last read, in milliseconds since the epoch
+     * @type {number}
+     */
+    lastFullPoll = 0;
+
+    /**
+     * True while a poll is running, so that a slow one isn't overlapped by the next
+     * @type {boolean}
+     */
+    pollInProgress = false;
+
+    /**
+     * @type {PollStats}
+     */
+    stats = {
+        polls: 0,
+        fullPolls: 0,
+        lastStarted: null,
+        lastFull: false,
+        lastDuration: 0,
+        lastPages: 0,
+        lastTasks: 0,
+        averageDuration: 0,
+        maxDuration: 0
+    };
+
     /**
      * @inheritDoc
      */
     setupMonitoring(taskList) {
         this.monitoredList = taskList;
-        setInterval(this.doPoll.bind(this), googlePollRate * 1000);
+        setInterval(() => {
+            if (this.pollInProgress) {
+                console.warn("The last poll of the google site is still running, so this one is skipped");
+                return;
+            }
+            this.pollInProgress = true;
+            this.doPoll()
+                .then(() => health.recordGooglePoll(undefined, this.getPollStats()))
+                .catch(reason => {
+                    health.recordGooglePoll(reason, this.getPollStats());
+                    console.error(`Polling of google site failed: ${reason}`);
+                })
+                .finally(() => {
+                    this.pollInProgress = false;
+                });
+        }, googlePollRate * 1000);
         console.log(`Setup google polling at interval of ${googlePollRate} second(s)`)
     }
 
+    /**
+     * @return {PollStats} How long polling has taken so far
+     */
+    getPollStats() {
+        return Object.assign({}, this.stats);
+    }
+
     async doPoll() {
-        console.log("Beginning polling of google site");
+        let started = Date.now();
+        let pagesBefore = requester.pagesRequested;
+        let full = this.newestModified === undefined
+            || started - this.lastFullPoll >= (googleFullPollRate || defaultFullPollRate) * 1000;
+        const kind = full ? "full" : "incremental";
+        console.log(`Beginning ${kind} polling of google site`);
 
-        let rawTasks = await requester.getAllTasks();
-        let allTasks = new Set(this.monitoredList.getTasks().map(task => task.getField(fields.GOOGLE_ID)));
+        let rawTasks = full ? await requester.getAllTasks() : await requester.getTasksModifiedSince(this.newestModified);
+        let allTasks = new Set(this.monitoredList.getTasks()
+            .map(task => task.getField(fields.GOOGLE_ID))
+            .filter(taskId => taskId)); // Tasks not yet on the GCI site can't have been deleted from it
 
         for (let rawTask of rawTasks) {
+            let modified = Date.parse(rawTask.last_modified);
+            if (!isNaN(modified) && (this.newestModified === undefined || modified > this.newestModified)) {
+                this.newestModified = modified;
+            }
+
             let task = this.monitoredList.getTask(task => googleInterface.doesTaskMatchData(task, rawTask));
             if (task) { // Existing task
                 allTasks.delete(task.getField(fields.GOOGLE_ID));
@@ -28,23 +133,64 @@ class GoogleMonitor extends SiteMonitor {
                 let remote = this.monitoredList.getDefaultTask();
                 googleInterface.loadIntoTask(rawTask, remote);
 
-                let alteredFields = this.detectDifferences(task, remote);
+                let alteredFields = this.detectDifferences(task, remote)
+                    .filter(field => !idFields.includes(field) || storedIds.includes(field));
+                alteredFields = echoFilter.filterEchoes("google", task, remote, alteredFields);
                 if (alteredFields.length !== 0) {
+                    // The GCI site doesn't say who made a change, so there is no actor
+                    journal.recordEvent("google", "updated", null, task,
+                        journal.changesBetween(task.fields, remote.fields, alteredFields));
                     this.onTaskAltered(task, remote, alteredFields);
                     this.alteredCallback(task, alteredFields);
                 }
             } else { // Created task
                 task = this.onTaskCreated(rawTask);
+                journal.recordEvent("google", "created", null, task, journal.changesBetween(undefined, task.fields));
                 this.createdCallback(task);
             }
         }
 
-        for (let taskId of allTasks) {
-            let task = this.monitoredList.getTask(task => task.getField(fields.GOOGLE_ID) === taskId);
-            this.onTaskDeleted(task);
-            this.deletedCallback(task);
+        // Only a full poll reads every task, so only then can anything missing be said to have been deleted
+        if (full) {
+            for (let taskId of allTasks) {
+                let task = this.monitoredList.getTask(task => task.getField(fields.GOOGLE_ID) === taskId);
+                this.onTaskDeleted(task);
+                journal.recordEvent("google", "deleted", null, task);
+                this.deletedCallback(task);
+            }
+            this.lastFullPoll = started;
+        }
+
+        let duration = Date.now() - started;
+        let pages = requester.pagesRequested - pagesBefore;
+        this._recordPoll(started, full, duration, pages, rawTasks.length);
+        console.log(`Finished ${kind} polling of google site in ${duration}ms, reading ${rawTasks.length} task(s) from ${pages} page(s)`);
+    }
+
+    /**
+     * Add a finished poll to the stats
+     *
+     * @param started {number} When the poll started, in milliseconds since the epoch
+     * @param full {boolean} True if every task was read
+     * @param duration {number} How long the poll took, in milliseconds
+     * @param pages {number} The number of pages requested
+     * @param tasks {number} The number of tasks read
+     * @private
+     */
+    _recordPoll(started, full, duration, pages, tasks) {
+        let stats = this.stats;
+        stats.averageDuration = (stats.averageDuration * stats.polls + duration) / (stats.polls + 1);
+        stats.polls++;
+        if (full) {
+            stats.fullPolls++;
         }
-        console.log("Finished polling of google site")
+        stats.lastStarted = new Date(started).toISOString();
+        stats.lastFull = full;
+        stats.lastDuration = duration;
+        stats.lastPages = pages;
+        stats.lastTasks = tasks;
+        stats.maxDuration = Math.max(stats.maxDuration, duration);
+        metrics.observe("tasksyncer_google_poll_duration_seconds", {type: full ? "full" : "incremental"}, duration / 1000);
     }
 
     /**
@@ -0,0 +1,176 @@
+const {health} = require("./Config.js").config;
+
+/**
+ * The settings used for anything not given in the `health` section of the config
+ * @type {{maxQueueLength: number, webhookWindow: number}}
+ */
+const defaultSettings = {
+    maxQueueLength: 50,
+    webhookWindow: 3600
+};
+
+/**
+ * Whether the syncer is ready, and whether it is healthy, as reported by `/readyz` and `/healthz`
+ *
+ * @typedef {{ready: boolean, synced: boolean, webhooksRegistered: boolean, trelloPolled: boolean}} Readiness
+ * @typedef {{healthy: boolean, problems: string[], lastGooglePoll: string|null, googlePolls: PollStats|null, lastTrelloPoll: string|null, lastWebhook: string|null, queues: Object.<string, number>}} HealthReport
+ */
+
+/**
+ * Keeps track of what the syncer has done, so that a process supervisor can tell whether it is working
+ * rather than only whether it is still running.
+ *
+ * The syncer is ready once the first sync has finished and the Trello webhooks have been registered.
+ * It is degraded if the last poll of GCI failed, if any requester has more than `maxQueueLength` requests waiting,
+ * or if no webhook has arrived from Trello within the last `webhookWindow` seconds.
+ * When Trello is polled instead, it is ready once the first poll has finished, and degraded if the last poll failed.
+ */
+class Health {
+    constructor(settings) {
+        this.settings = Object.assign({}, defaultSettings, settings);
+        this.synced = false;
+        /**
+         * When the Trello webhooks were registered, in milliseconds since the epoch, or null if they haven't been yet
+         * @type {number|null}
+         */
+        this.webhooksRegistered = null;
+        /**
+         * The requesters whose queues are checked
+         * @type {BaseApiRequester[]}
+         */
+        this.requesters = [];
+        /**
+         * When GCI was last polled, and why it failed if it did
+         * @type {{time: number, error: Error|null}|null}
+         */
+        this.lastGooglePoll = null;
+        /**
+         * How long polling GCI has taken so far, or null if it hasn't been polled yet
+         * @type {PollStats|null}
+         */
+        this.googlePollStats = null;
+        /**
+         * When the last webhook arrived, in milliseconds since the epoch, or null if none has yet
+         * @type {number|null}
+         */
+        this.lastWebhook = null;
+        /**
+         * True if Trello is polled rather than sending webhooks
+         * @type {boolean}
+         */
+        this.trelloPolling = false;
+        /**
+         * When Trello was last polled, and why it failed if it did
+         * @type {{time: number, error: Error|null}|null}
+         */
+        this.lastTrelloPoll = null;
+    }
+
+    /**
+     * Check the queue of a requester when working out whether the syncer is healthy
+     *
+     * @param requester {BaseApiRequester}
+     */
+    addRequester(requester) {
+        this.requesters.push(requester);
+    }
+
+    /**
+     * Record that the first sync has finished, and the services are being monitored
+     */
+    markSynced() {
+        this.synced = true;
+    }
+
+    /**
+     * Record that the Trello webhooks are registered, and so changes on Trello will be heard about
+     */
+    markWebhooksRegistered() {
+        this.webhooksRegistered = Date.now();
+    }
+
+    /**
+     * Record that Trello is polled, and so no webhooks are expected
+     */
+    markTrelloPolling() {
+        this.trelloPolling = true;
+    }
+
+    /**
+     * Record that a webhook arrived from Trello
+     */
+    recordWebhook() {
+        this.lastWebhook = Date.now();
+    }
+
+    /**
+     * Record the end of a poll of GCI
+     *
+     * @param [error] {Error} Why the poll failed, if it did
+     * @param [stats] {PollStats} How long polling has taken so far, from {@link GoogleMonitor#getPollStats}
+     */
+    recordGooglePoll(error, stats) {
+        this.lastGooglePoll = {time: Date.now(), error: error || null};
+        if (stats) {
+            this.googlePollStats = stats;
+        }
+    }
+
+    /**
+     * Record the end of a poll of Trello
+     *
+     * @param [error] {Error} Why the poll failed, if it did
+     */
+    recordTrelloPoll(error) {
+        this.lastTrelloPoll = {time: Date.now(), error: error || null};
+    }
+
+    /**
+     * @return {Readiness}
+     */
+    getReadiness() {
+        let trelloReady = this.trelloPolling ? this.lastTrelloPoll !== null : this.webhooksRegistered !== null;
+        return {
+            ready: this.synced && trelloReady,
+            synced: this.synced,
+            webhooksRegistered: this.webhooksRegistered !== null,
+            trelloPolled: this.lastTrelloPoll !== null
+        };
+    }
+
+    /**
+     * @return {HealthReport}
+     */
+    getHealth() {
+        let problems = [];
+        if (this.lastGooglePoll && this.lastGooglePoll.error) {
+            problems.push(`The last poll of GCI failed: ${this.lastGooglePoll.error}`);
+        }
+        let queues = {};
+        for (let requester of this.requesters) {
+            let length = requester.getQueueLength();
+            queues[requester.getName()] = length;
+            if (length > this.settings.maxQueueLength) {
+                problems.push(`${requester.getName()} has ${length} requests waiting, more than ${this.settings.maxQueueLength}`);
+            }
+        }
+        if (this.lastTrelloPoll && this.lastTrelloPoll.error) {
+            problems.push(`The last poll of Trello failed: ${this.lastTrelloPoll.error}`);
+        }
+        let heardFrom = this.lastWebhook || this.webhooksRegistered; // Allow a full window after starting for the first
+        if (!this.trelloPolling && heardFrom !== null && Date.now() - heardFrom > this.settings.webhookWindow * 1000) {
+            problems.push(`No webhook has been received from Trello in the last ${this.settings.webhookWindow} second(s)`);
+        }
+        return {
+            healthy: problems.length === 0,
+            problems: problems,
+            lastGooglePoll: this.lastGooglePoll && new Date(this.lastGooglePoll.time).toISOString(),
+            googlePolls: this.googlePollStats,
+            lastTrelloPoll: this.lastTrelloPoll && new Date(this.lastTrelloPoll.time).toISOString(),
+            lastWebhook: this.lastWebhook && new Date(this.lastWebhook).toISOString(),
+            queues: queues
+        };
+    }
+}
+
+module.exports = new Health(health);
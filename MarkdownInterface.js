@@ -0,0 +1,350 @@
+const fs = require("fs");
+const path = require("path");
+const {fields} = require("./Globals");
+const {markdown} = require("./Config.js").config;
+const ApiInterface = require("./ApiInterface.js");
+const Task = require("./Task.js");
+
+/**
+ * The fields stored in the front-matter of each file, in the order they are written
+ * @type {string[]}
+ */
+const frontMatterFields = [
+    fields.NAME,
+    fields.DAYS,
+    fields.IS_BEGINNER,
+    fields.MAX_INSTANCES,
+    fields.TAGS,
+    fields.CATEGORIES,
+    fields.GOOGLE_ID,
+    fields.TRELLO_ID,
+    fields.GITHUB_ID
+];
+const frontMatterPattern = /^---\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/;
+
+/**
+ * A single Markdown file, as read from the disk
+ *
+ * @typedef {{
+ *      fileName: string
+ *      frontMatter: Object.<string, *>
+ *      description: string
+ *      modified: string
+ * }} RawMarkdown
+ */
+
+/**
+ * An interface between a directory of Markdown files and the internal data representation.
+ *
+ * Each task is kept in its own file, named after the task when it was created.
+ * The file name is used as the ID of the task, so renaming a task does not rename the file.
+ * The fields of the task are kept as YAML front-matter, with the description as the body of the file.
+ *
+ * @see ApiInterface
+ */
+class MarkdownInterface extends ApiInterface {
+    constructor(directory) {
+        super();
+        this.directory = path.resolve(directory);
+    }
+
+    /**
+     * @inheritDoc
+     */
+    updateOtherId(task) {
+        return this._writeFile(task).then(() => task);
+    }
+
+    /**
+     * @inheritDoc
+     */
+    loadAllTasks(taskList) {
+        return this.readAllFiles().then(rawFiles => {
+            for (let rawFile of rawFiles) {
+                let task = taskList.getOrMakeTask(task => this.doesTaskMatchData(task, rawFile));
+                this.loadIntoTask(rawFile, task);
+                console.log(`Loaded file '${task.getField(fields.NAME)}' from Markdown`);
+            }
+            return taskList;
+        });
+    }
+
+    /**
+     * @inheritDoc
+     */
+    loadTask(task) {
+        if (!task.getField(fields.MARKDOWN_ID)) {
+            return Promise.resolve(undefined);
+        }
+        return Promise.resolve(this.readFile(task.getField(fields.MARKDOWN_ID)))
+            .then(rawFile => {
+                let loaded = new Task();
+                this.loadIntoTask(rawFile, loaded);
+                console.log(`Loaded file '${loaded.getField(fields.NAME)}' from Markdown`);
+                return loaded;
+            })
+            .catch(reason => {
+                if (reason.code === "ENOENT") { // The file was deleted
+                    return undefined;
+                }
+                throw reason;
+            });
+    }
+
+    /**
+     * @inheritDoc
+     */
+    writeTask(task) {
+        task.resetUpdatedFields();
+        return this._writeFile(task)
+            .then(() => {
+                if (task.wasFieldUpdated(fields.MARKDOWN_ID)) {// We made a new file
+                    console.log(`File '${task.getField(fields.MARKDOWN_ID)}' created in Markdown`);
+                } else {
+                    console.log(`File '${task.getField(fields.MARKDOWN_ID)}' updated in Markdown`);
+                }
+                return task;
+            });
+    }
+
+    /**
+     * @inheritDoc
+     */
+    deleteTask(task) {
+        return Promise.resolve(fs.promises.unlink(this._getPath(task.getField(fields.MARKDOWN_ID))))
+            .catch(reason => {
+                if (reason.code !== "ENOENT") { // Already deleted
+                    throw reason;
+                }
+            });
+    }
+
+    /**
+     * Reads every Markdown file in the directory.
+     * If the directory doesn't exist yet then there are simply no files.
+     *
+     * @return {Promise<RawMarkdown[]>}
+     */
+    readAllFiles() {
+        return Promise.resolve(fs.promises.readdir(this.directory))
+            .catch(reason => {
+                if (reason.code === "ENOENT") {
+                    return [];
+                }
+                throw reason;
+            })
+            .then(fileNames => Promise.all(fileNames
+                .filter(fileName => fileName.endsWith(".md"))
+                .map(fileName => this.readFile(fileName))));
+    }
+
+    /**
+     * Reads a single Markdown file from the directory
+     *
+     * @param fileName {string} The name of the file within the directory
+     * @return {Promise<RawMarkdown>}
+     */
+    async readFile(fileName) {
+        let filePath = this._getPath(fileName);
+        let contents = await fs.promises.readFile(filePath, "utf8");
+        let stats = await fs.promises.stat(filePath);
+
+        let match = contents.match(frontMatterPattern);
+        return {
+            fileName: fileName,
+            frontMatter: match ? this.parseFrontMatter(match[1]) : {},
+            description: (match ? contents.slice(match[0].length) : contents).trim(),
+            modified: stats.mtime.toISOString()
+        };
+    }
+
+    /**
+     * Writes the task to its file, picking a new file if it doesn't have one yet
+     *
+     * @param task {Task} The task to write
+     * @return {Promise<void>} A promise that finishes when the file is written
+     * @private
+     */
+    async _writeFile(task) {
+        await fs.promises.mkdir(this.directory, {recursive: true});
+        let fileName = task.getField(fields.MARKDOWN_ID);
+        if (!fileName || !await this._exists(fileName)) {
+            fileName = await this._pickFileName(task);
+            task.setField(fields.MARKDOWN_ID, fileName);
+        }
+        await fs.promises.writeFile(this._getPath(fileName), this.taskToRaw(task), "utf8");
+    }
+
+    /**
+     * Picks an unused file name for a task, based on the name of the task
+     *
+     * @param task {Task} The task to name the file after
+     * @return {Promise<string>} The file name
+     * @private
+     */
+    async _pickFileName(task) {
+        let slug = (task.getField(fields.NAME) || "")
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, "-")
+            .replace(/^-+|-+$/g, "") || "task";
+        let fileName = `${slug}.md`;
+        for (let i = 2; await this._exists(fileName); i++) {
+            fileName = `${slug}-${i}.md`;
+        }
+        return fileName;
+    }
+
+    /**
+     * @param fileName {string} The name of the file within the directory
+     * @return {Promise<boolean>} True if the file exists
+     * @private
+     */
+    _exists(fileName) {
+        return fs.promises.access(this._getPath(fileName))
+            .then(() => true, () => false);
+    }
+
+    /**
+     * @param fileName {string} The name of the file within the directory
+     * @return {string} The full path to the file
+     * @private
+     */
+    _getPath(fileName) {
+        return path.join(this.directory, path.basename(fileName));
+    }
+
+    /**
+     * Converts a task into the contents of its Markdown file
+     *
+     * @param task {Task} The task to convert
+     * @return {string} The contents of the file
+     */
+    taskToRaw(task) {
+        let lines = ["---"];
+        for (let field of frontMatterFields) {
+            // JSON values are also valid YAML, and keep strings that look like numbers as strings
+            let value = task.getField(field);
+            lines.push(`${field}: ${JSON.stringify(value === undefined ? null : value)}`);
+        }
+        lines.push("---", "", task.getField(fields.DESCRIPTION) || "", "");
+        return lines.join("\n");
+    }
+
+    /**
+     * Parses YAML front-matter.
+     *
+     * Only the subset of YAML needed for the fields of a task is supported.
+     * That is `key: value` pairs, where the value is a scalar, a flow list (`[a, b]`) or a block list of `- item` lines.
+     *
+     * @param text {string} The front-matter, without the surrounding `---` lines
+     * @return {Object.<string, *>} The values, keyed by field
+     */
+    parseFrontMatter(text) {
+        let result = {};
+        let listKey = null;
+        for (let line of text.split(/\r?\n/)) {
+            if (line.trim() === "" || line.trim().startsWith("#")) {
+                continue;
+            }
+            let item = line.match(/^\s+-\s*(.*)$/) || line.match(/^-\s+(.*)$/);
+            if (item && listKey) {
+                result[listKey].push(this._parseScalar(item[1]));
+                continue;
+            }
+            let pair = line.match(/^([\w-]+):\s*(.*)$/);
+            if (!pair) {
+                console.error(`Could not read the front-matter line '${line}'`);
+                continue;
+            }
+            let [, key, value] = pair;
+            if (value === "") { // The start of a block list
+                result[key] = [];
+                listKey = key;
+            } else {
+                result[key] = this._parseValue(value);
+                listKey = null;
+            }
+        }
+        return result;
+    }
+
+    /**
+     * @param value {string} A YAML value on a single line
+     * @return {*} The value
+     * @private
+     */
+    _parseValue(value) {
+        value = value.trim();
+        if (value.startsWith("[") && value.endsWith("]")) {
+            try {
+                return JSON.parse(value);
+            } catch (reason) {
+                let inner = value.slice(1, -1).trim();
+                return inner === "" ? [] : inner.split(",").map(item => this._parseScalar(item));
+            }
+        }
+        return this._parseScalar(value);
+    }
+
+    /**
+     * As in YAML 1.2, only `true` and `false` are booleans, so a tag or name such as `yes` or `no` stays a string
+     *
+     * @param value {string} A single YAML scalar
+     * @return {string|number|boolean|null} The value
+     * @private
+     */
+    _parseScalar(value) {
+        value = value.trim();
+        if (value.startsWith("'") && value.endsWith("'") && value.length > 1) {
+            return value.slice(1, -1).replace(/''/g, "'");
+        }
+        switch (value) {
+            case "":
+            case "~":
+                return null;
+        }
+        try {
+            return JSON.parse(value);
+        } catch (reason) {
+            return value; // A plain string
+        }
+    }
+
+    /**
+     * Attempts to match a task by the file name, or by the ID's held in the front-matter.
+     *
+     * @param task {Task} The task to match with
+     * @param data {RawMarkdown} The data to match with
+     * @return {Boolean} True if the data and the task match, False otherwise
+     */
+    doesTaskMatchData(task, data) {
+        if (task.getField(fields.MARKDOWN_ID) === data.fileName) {
+            return true;
+        }
+        return [fields.GOOGLE_ID, fields.TRELLO_ID, fields.GITHUB_ID]
+            .some(field => data.frontMatter[field] && task.getField(field) === data.frontMatter[field]);
+    }
+
+    /**
+     *  Overwrite a task with the given data.
+     *
+     *  The field is only overwritten following the rules given in {@link ApiInterface#loadAllTasks()}
+     *
+     * @param data {RawMarkdown} The data to write in
+     * @param task {Task} The task to overwrite
+     */
+    loadIntoTask(data, task) {
+        task.setIfData(fields.MARKDOWN_ID, data.fileName);
+        task.setIfData(fields.DESCRIPTION, data.description);
+        for (let field of frontMatterFields) {
+            if (data.frontMatter.hasOwnProperty(field)) {
+                task.setIfData(field, data.frontMatter[field]);
+            }
+        }
+
+        // Read-only fields
+        task.setIfData(fields.LAST_MODIFIED, data.modified);
+    }
+}
+
+module.exports = new MarkdownInterface(markdown.directory || "tasks");
@@ -0,0 +1,116 @@
+const fs = require("fs");
+const SiteMonitor = require("./SiteMonitor.js");
+const markdownInterface = require("./MarkdownInterface.js");
+const googleMonitor = require("./GoogleMonitor.js");
+const journal = require("./AuditJournal.js");
+const echoFilter = require("./EchoFilter.js");
+const {fields} = require("./Globals");
+
+/**
+ * How long to wait after a file changes before reading the directory, so that a burst of changes is handled at once
+ * @type {number}
+ */
+const settleTime = 500;
+
+/**
+ * Watches the directory of Markdown files for changes
+ */
+class MarkdownMonitor extends SiteMonitor {
+    /**
+     * @inheritDoc
+     */
+    setupMonitoring(taskList) {
+        this.monitoredList = taskList;
+        fs.mkdirSync(markdownInterface.directory, {recursive: true});
+        fs.watch(markdownInterface.directory, (eventType, fileName) => {
+            if (!fileName || fileName.endsWith(".md")) {
+                this._scheduleScan();
+            }
+        });
+        console.log(`Watching '${markdownInterface.directory}' for changes`);
+    }
+
+    /**
+     * Scan the directory once changes have settled
+     * @private
+     */
+    _scheduleScan() {
+        clearTimeout(this.scanTimeout);
+        this.scanTimeout = setTimeout(() => {
+            this.doScan().catch(reason => console.error(`Scanning Markdown files failed: ${reason}`));
+        }, settleTime);
+    }
+
+    async doScan() {
+        let rawFiles = await markdownInterface.readAllFiles();
+        let allFiles = new Set(this.monitoredList.getTasks()
+            .map(task => task.getField(fields.MARKDOWN_ID))
+            .filter(fileName => fileName));
+
+        for (let rawFile of rawFiles) {
+            let task = this.monitoredList.getTask(task => markdownInterface.doesTaskMatchData(task, rawFile));
+            if (task) { // Existing file
+                allFiles.delete(task.getField(fields.MARKDOWN_ID));
+
+                let remote = this.monitoredList.getDefaultTask();
+                markdownInterface.loadIntoTask(rawFile, remote);
+
+                let alteredFields = echoFilter.filterEchoes("markdown", task, remote, googleMonitor.detectDifferences(task, remote));
+                if (alteredFields.length !== 0) {
+                    journal.recordEvent("markdown", "updated", null, task,
+                        journal.changesBetween(task.fields, remote.fields, alteredFields));
+                    this.onFileAltered(task, remote, alteredFields);
+                    this.alteredCallback(task, alteredFields);
+                }
+            } else { // Created file
+                task = this.onFileCreated(rawFile);
+                journal.recordEvent("markdown", "created", null, task, journal.changesBetween(undefined, task.fields));
+                this.createdCallback(task);
+            }
+        }
+
+        for (let fileName of allFiles) {
+            let task = this.monitoredList.getTask(task => task.getField(fields.MARKDOWN_ID) === fileName);
+            this.onFileDeleted(task);
+            journal.recordEvent("markdown", "deleted", null, task);
+            this.deletedCallback(task);
+        }
+    }
+
+    /**
+     *
+     * @param local {Task}
+     * @param remote {Task}
+     * @param alteredFields {string[]}
+     */
+    onFileAltered(local, remote, alteredFields) {
+        for (let alteredField of alteredFields) {
+            local.setField(alteredField, remote.getField(alteredField))
+        }
+
+        console.log(`File '${local.getField(fields.MARKDOWN_ID)}' updated.`);
+    }
+
+    /**
+     *
+     * @param rawFile {RawMarkdown}
+     * @return {Task}
+     */
+    onFileCreated(rawFile) {
+        let task = this.monitoredList.createTask();
+        markdownInterface.loadIntoTask(rawFile, task);
+        console.log(`File '${task.getField(fields.MARKDOWN_ID)}' created.`);
+        return task;
+    }
+
+    /**
+     *
+     * @param task {Task}
+     */
+    onFileDeleted(task) {
+        this.monitoredList.deleteThisTask(task);
+        console.log(`File '${task.getField(fields.MARKDOWN_ID)}' deleted.`);
+    }
+}
+
+module.exports = new MarkdownMonitor();
@@ -0,0 +1,204 @@
+/**
+ * The buckets, in seconds, used for timing requests
+ * @type {number[]}
+ */
+const requestBuckets = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+/**
+ * The buckets, in seconds, used for timing polls of GCI, which can read many pages
+ * @type {number[]}
+ */
+const pollBuckets = [0.5, 1, 2.5, 5, 10, 30, 60, 120, 300];
+
+/**
+ * Every metric that is exported, along with its type, help text and the buckets of histograms
+ * @type {Object.<string, {type: string, help: string, [buckets]: number[]}>}
+ */
+const definitions = {
+    tasksyncer_requests_total: {
+        type: "counter",
+        help: "Requests sent to each service, including retries, by requester"
+    },
+    tasksyncer_request_failures_total: {
+        type: "counter",
+        help: "Requests that failed, by requester and HTTP status code or network error"
+    },
+    tasksyncer_request_duration_seconds: {
+        type: "histogram",
+        help: "How long requests took to get a response, by requester",
+        buckets: requestBuckets
+    },
+    tasksyncer_request_queue_length: {
+        type: "gauge",
+        help: "Requests waiting to be sent, by requester"
+    },
+    tasksyncer_requests_in_flight: {
+        type: "gauge",
+        help: "Requests sent and waiting on a response, by requester"
+    },
+    tasksyncer_webhook_events_total: {
+        type: "counter",
+        help: "Trello webhooks received, by translation key"
+    },
+    tasksyncer_google_poll_duration_seconds: {
+        type: "histogram",
+        help: "How long each poll of GCI took, by whether it was a full or incremental poll",
+        buckets: pollBuckets
+    },
+    tasksyncer_task_writes_total: {
+        type: "counter",
+        help: "Tasks written to each service, by action, the service the change came from and the service written to"
+    }
+};
+
+/**
+ * Keeps counters, gauges and histograms about what the syncer is doing,
+ * and renders them in the Prometheus text format so that they can be scraped from `/metrics`.
+ *
+ * Each metric is split into series by its labels, such as the name of the requester.
+ * Only the metrics in {@link definitions} can be recorded, so that a typo shows up straight away.
+ */
+class Metrics {
+    constructor() {
+        /**
+         * The series of each metric, keyed by metric name and then by the labels as JSON
+         * @type {Object.<string, Map<string, {labels: Object.<string, string>, value: number, [counts]: number[], [sum]: number}>>}
+         */
+        this.series = {};
+        for (let name in definitions) {
+            if (definitions.hasOwnProperty(name)) {
+                this.series[name] = new Map();
+            }
+        }
+    }
+
+    /**
+     * Add to a counter
+     *
+     * @param name {string} The name of the counter
+     * @param labels {Object.<string, *>} The labels of the series to add to
+     * @param [amount] {number} How much to add. Defaults to one
+     */
+    increment(name, labels, amount) {
+        this._getSeries(name, "counter", labels).value += amount === undefined ? 1 : amount;
+    }
+
+    /**
+     * Set the value of a gauge
+     *
+     * @param name {string} The name of the gauge
+     * @param labels {Object.<string, *>} The labels of the series to set
+     * @param value {number} The new value
+     */
+    set(name, labels, value) {
+        this._getSeries(name, "gauge", labels).value = value;
+    }
+
+    /**
+     * Record a value in a histogram
+     *
+     * @param name {string} The name of the histogram
+     * @param labels {Object.<string, *>} The labels of the series to record in
+     * @param value {number} The value seen, such as a duration in seconds
+     */
+    observe(name, labels, value) {
+        let series = this._getSeries(name, "histogram", labels);
+        let buckets = definitions[name].buckets;
+        for (let i = 0; i < buckets.length; i++) {
+            if (value <= buckets[i]) {
+                series.counts[i]++;
+            }
+        }
+        series.sum += value;
+        series.value++;
+    }
+
+    /**
+     * @return {string} Every metric in the Prometheus text format
+     */
+    render() {
+        let lines = [];
+        for (let name in definitions) {
+            if (!definitions.hasOwnProperty(name)) {
+                continue;
+            }
+            let definition = definitions[name];
+            lines.push(`# HELP ${name} ${definition.help}`);
+            lines.push(`# TYPE ${name} ${definition.type}`);
+            for (let series of this.series[name].values()) {
+                if (definition.type !== "histogram") {
+                    lines.push(`${name}${this._formatLabels(series.labels)} ${series.value}`);
+                    continue;
+                }
+                for (let i = 0; i < definition.buckets.length; i++) {
+                    lines.push(`${name}_bucket${this._formatLabels(series.labels, definition.buckets[i])} ${series.counts[i]}`);
+                }
+                lines.push(`${name}_bucket${this._formatLabels(series.labels, "+Inf")} ${series.value}`);
+                lines.push(`${name}_sum${this._formatLabels(series.labels)} ${series.sum}`);
+                lines.push(`${name}_count${this._formatLabels(series.labels)} ${series.value}`);
+            }
+        }
+        return lines.join("\n") + "\n";
+    }
+
+    /**
+     * Gets the series of a metric with the given labels, making it if this is the first time they have been seen
+     *
+     * @param name {string} The name of the metric
+     * @param type {string} The type the metric should be
+     * @param labels {Object.<string, *>} The labels of the series
+     * @return {{labels: Object.<string, string>, value: number, [counts]: number[], [sum]: number}}
+     * @private
+     */
+    _getSeries(name, type, labels) {
+        let definition = definitions[name];
+        if (!definition || definition.type !== type) {
+            throw new Error(`There is no ${type} called '${name}'`);
+        }
+        labels = this._normaliseLabels(labels);
+        let key = JSON.stringify(labels);
+        let series = this.series[name].get(key);
+        if (!series) {
+            series = {labels: labels, value: 0};
+            if (type === "histogram") {
+                series.counts = definition.buckets.map(() => 0);
+                series.sum = 0;
+            }
+            this.series[name].set(key, series);
+        }
+        return series;
+    }
+
+    /**
+     * @param labels {Object.<string, *>|undefined}
+     * @return {Object.<string, string>} The labels sorted by name with every value as a string, so that they always match
+     * @private
+     */
+    _normaliseLabels(labels) {
+        let normalised = {};
+        for (let label of Object.keys(labels || {}).sort()) {
+            normalised[label] = String(labels[label]);
+        }
+        return normalised;
+    }
+
+    /**
+     * @param labels {Object.<string, string>}
+     * @param [le] {number|string} The upper bound of a histogram bucket
+     * @return {string} The labels as written in the text format, or nothing if there are none
+     * @private
+     */
+    _formatLabels(labels, le) {
+        let pairs = Object.entries(labels);
+        if (le !== undefined) {
+            pairs.push(["le", String(le)]);
+        }
+        if (pairs.length === 0) {
+            return "";
+        }
+        let escape = value => value.replace(/\\/g, "\\\\").replace(/"/g, "\\\"").replace(/\n/g, "\\n");
+        return `{${pairs.map(([label, value]) => `${label}="${escape(value)}"`).join(",")}}`;
+    }
+}
+
+module.exports = new Metrics();
@@ -0,0 +1,92 @@
+/**
+ * A single service that tasks are synced with.
+ *
+ * @typedef {{
+ *      name: string
+ *      displayName: string
+ *      api: ApiInterface
+ *      monitor: SiteMonitor
+ *      idField: string
+ *      storedIds: string[]
+ * }} Service
+ */
+
+/**
+ * Keeps track of every service that tasks are synced between.
+ *
+ * Each service is made up of an {@link ApiInterface} to read and write tasks, a {@link SiteMonitor} to watch for changes,
+ * and the field on the task that holds the ID of its entry on that service.
+ * Changes seen on any one service are pushed to all the others.
+ */
+class ServiceRegistry {
+    constructor() {
+        /**
+         * @type {Service[]}
+         */
+        this.services = [];
+    }
+
+    /**
+     * Register a new service to sync with.
+     * Services are loaded in the order they are registered, with later ones overwriting earlier ones.
+     *
+     * @param name {string} The unique name of the service. This is also used in the merge policies
+     * @param displayName {string} The human readable name of the service
+     * @param api {ApiInterface} The interface used to read and write to the service
+     * @param monitor {SiteMonitor} The monitor used to watch the service for changes
+     * @param idField {string} The field on the task that holds the ID of the entry on this service
+     * @param storedIds {string[]} The ID fields, including its own, that the service stores on its entries
+     * @return {Service} The service that was registered
+     */
+    register(name, displayName, api, monitor, idField, storedIds) {
+        if (this.getService(name)) {
+            throw new Error(`Attempted to register service '${name}' twice`);
+        }
+        let service = {
+            name: name,
+            displayName: displayName,
+            api: api,
+            monitor: monitor,
+            idField: idField,
+            storedIds: storedIds
+        };
+        this.services.push(service);
+        return service;
+    }
+
+    /**
+     * @return {Service[]} Every registered service
+     */
+    getServices() {
+        return this.services;
+    }
+
+    /**
+     * @return {string[]} The names of every registered service
+     */
+    getNames() {
+        return this.services.map(service => service.name);
+    }
+
+    /**
+     * Gets a service by name
+     *
+     * @param name {string} The name of the service
+     * @return {Service|undefined} The service, or undefined if there is no service with that name
+     */
+    getService(name) {
+        return this.services.find(service => service.name === name);
+    }
+
+    /**
+     * Gets every service other than the given one
+     *
+     * @param service {Service} The service to exclude
+     * @return {Service[]} All the other services
+     */
+    getOthers(service) {
+        return this.services.filter(other => other !== service);
+    }
+}
+
+module.exports = new ServiceRegistry();
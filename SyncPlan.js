@@ -0,0 +1,186 @@
+const Task = require("./Task.js");
+const googleMonitor = require("./GoogleMonitor.js");
+const {fields, idFields, syncActions} = require("./Globals");
+
+/**
+ * A single field that would be changed on a service
+ * @typedef {{field: string, before: *, after: *}} PlannedChange
+ *
+ * A single task that would be created, deleted or updated on a service.
+ * This also holds the ID of the task on each service, keyed by the ID field
+ * @typedef {{name: string, ids: Object.<string, *>, changes: PlannedChange[]}} PlanEntry
+ */
+
+/**
+ * The changes syncing would make to each service, without them having been made.
+ * It is also used to report the changes a sync did make, once they have been written.
+ *
+ * This can be output either as human readable text via {@link SyncPlan#toString()}
+ * or as JSON via {@link SyncPlan#toJSON()}
+ */
+class SyncPlan {
+    /**
+     * @param services {Service[]} The services being synced
+     */
+    constructor(services) {
+        /**
+         * The human readable name of each service
+         * @type {Object.<string, string>}
+         */
+        this.names = {};
+        /**
+         * @type {Object.<string, {create: PlanEntry[], delete: PlanEntry[], update: PlanEntry[]}>}
+         */
+        this.services = {};
+        for (let service of services) {
+            this.names[service.name] = service.displayName;
+            this.services[service.name] = {create: [], delete: [], update: []};
+        }
+        /**
+         * @type {Array<{name: string, ids: Object.<string, *>, field: string, base: *, values: Object.<string, *>}>}
+         */
+        this.conflicts = [];
+    }
+
+    /**
+     * Add the changes planned for a single task
+     * @param taskPlan {TaskPlan} What would be done on each service
+     */
+    addTask(taskPlan) {
+        for (let service of Object.keys(this.services)) {
+            let planned = taskPlan.actions[service];
+            if (planned.action !== syncActions.NONE) {
+                this.services[service][planned.action].push(this._toEntry(planned));
+            }
+        }
+        for (let conflict of taskPlan.conflicts) {
+            this.conflicts.push({
+                name: taskPlan.task.getField(fields.NAME),
+                ids: this._getIds(taskPlan.task),
+                field: conflict.field,
+                base: conflict.base,
+                values: conflict.values
+            });
+        }
+    }
+
+    /**
+     * Checks if syncing would change anything at all
+     * @return {boolean} True if any service would be changed, false otherwise
+     */
+    hasChanges() {
+        return Object.values(this.services).some(service =>
+            service.create.length + service.delete.length + service.update.length !== 0);
+    }
+
+    /**
+     * @return {{services: Object.<string, {create: PlanEntry[], delete: PlanEntry[], update: PlanEntry[]}>, conflicts: Array}}
+     */
+    toJSON() {
+        return {
+            services: this.services,
+            conflicts: this.conflicts
+        };
+    }
+
+    /**
+     * Describe the plan in a human readable form
+     * @return {string}
+     */
+    toString() {
+        const symbols = {create: "+", delete: "-", update: "~"};
+        let lines = [];
+
+        for (let service of Object.keys(this.services)) {
+            lines.push(`${this.names[service]}:`);
+            let count = 0;
+            for (let action of Object.keys(symbols)) {
+                for (let entry of this.services[service][action]) {
+                    count++;
+                    lines.push(`  ${symbols[action]} ${action} '${entry.name}' (${this._describeIds(entry.ids)})`);
+                    for (let change of entry.changes) {
+                        lines.push(`      ${change.field}: ${JSON.stringify(change.before)} -> ${JSON.stringify(change.after)}`);
+                    }
+                }
+            }
+            if (count === 0) {
+                lines.push("  No changes");
+            }
+        }
+
+        if (this.conflicts.length !== 0) {
+            lines.push("Conflicts:");
+            for (let conflict of this.conflicts) {
+                lines.push(`  ! '${conflict.name}' (${this._describeIds(conflict.ids)}) field '${conflict.field}'`);
+                lines.push(`      last synced: ${JSON.stringify(conflict.base)}`);
+                for (let service of Object.keys(conflict.values)) {
+                    lines.push(`      ${this.names[service]}: ${JSON.stringify(conflict.values[service])}`);
+                }
+            }
+        }
+        return lines.join("\n");
+    }
+
+    /**
+     * Convert a planned action into an entry for the report
+     *
+     * @param planned {PlannedAction} The action planned for a service
+     * @return {PlanEntry}
+     * @private
+     */
+    _toEntry(planned) {
+        let task = planned.target || planned.current;
+        let changes = [];
+        if (planned.action !== syncActions.DELETE) {
+            let before = planned.current || this._blankTask();
+            changes = googleMonitor.detectDifferences(planned.target, before)
+                .filter(field => planned.current || !Task.isBlank(planned.target.getField(field))) // Skip empty fields on new tasks
+                .map(field => ({
+                    field: field,
+                    before: before.getField(field),
+                    after: planned.target.getField(field)
+                }));
+        }
+        return {
+            name: task.getField(fields.NAME),
+            ids: this._getIds(task),
+            changes: changes
+        };
+    }
+
+    /**
+     * @param task {Task}
+     * @return {Object.<string, *>} The ID of the task on each service, keyed by the ID field
+     * @private
+     */
+    _getIds(task) {
+        let ids = {};
+        for (let idField of idFields) {
+            ids[idField] = task.getField(idField);
+        }
+        return ids;
+    }
+
+    /**
+     * @param ids {Object.<string, *>} The ID of the task on each service, keyed by the ID field
+     * @return {string} The ID's in a human readable form
+     * @private
+     */
+    _describeIds(ids) {
+        return Object.keys(ids).map(idField => `${idField}: ${ids[idField]}`).join(", ");
+    }
+
+    /**
+     * @return {Task} A task with every field set to null
+     * @private
+     */
+    _blankTask() {
+        let task = new Task();
+        for (let field of Object.values(fields)) {
+            task.fields[field] = null;
+        }
+        return task;
+    }
+}
+
+module.exports = SyncPlan;
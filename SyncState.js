@@ -0,0 +1,209 @@
+const fs = require("fs");
+const Task = require("./Task.js");
+const {fields, idFields} = require("./Globals");
+const {syncStatePath} = require("./Config.js").config;
+
+/**
+ * A persisted record of the field values and service ID's each task had when it was last synced.
+ *
+ * This is used on startup to work out which side changed while the syncer was not running,
+ * so that only those changes need to be pushed rather than every task on every service.
+ *
+ * The snapshot is stored as JSON on the local disk, at the path given by `syncStatePath` in the config.
+ */
+class SyncState {
+    constructor(filePath) {
+        this.filePath = filePath;
+        /**
+         * The raw field values of each task, as they were when last synced
+         * @type {Array<Object.<string, *>>}
+         */
+        this.snapshots = [];
+        /**
+         * The fields that could not be merged, and so are waiting on someone to resolve them
+         * Each also holds the ID of the task on every service, keyed by the ID field
+         * @type {Array<{name: string, field: string, base: *, values: Object.<string, *>, detected: string}>}
+         */
+        this.conflicts = [];
+        this.lastSave = Promise.resolve();
+    }
+
+    /**
+     * Load the snapshot from the disk, replacing anything currently held.
+     * If there is no snapshot on the disk then the state will simply be empty.
+     *
+     * @return {Promise<SyncState>} A promise that finishes when the snapshot is loaded
+     */
+    load() {
+        return Promise.resolve(fs.promises.readFile(this.filePath, "utf8"))
+            .then(contents => {
+                let state = JSON.parse(contents);
+                this.snapshots = state.snapshots || [];
+                this.conflicts = state.conflicts || [];
+                console.log(`Loaded sync state for ${this.snapshots.length} task(s) from '${this.filePath}'`);
+            })
+            .catch(reason => {
+                if (reason.code === "ENOENT") {
+                    console.log(`No sync state found at '${this.filePath}'. Treating all tasks as unsynced`);
+                    this.snapshots = [];
+                    this.conflicts = [];
+                } else {
+                    throw reason;
+                }
+            })
+            .then(() => this);
+    }
+
+    /**
+     * Write the snapshot to the disk.
+     *
+     * Saves are queued behind each other, and written to a temporary file first,
+     * so that a crash part way through a save does not corrupt the existing snapshot.
+     *
+     * @return {Promise<void>} A promise that finishes when the snapshot has been written
+     */
+    save() {
+        const data = JSON.stringify({snapshots: this.snapshots, conflicts: this.conflicts}, null, 2);
+        const tempPath = `${this.filePath}.tmp`;
+        this.lastSave = this.lastSave
+            .catch(() => undefined) // A failed save should not block later ones
+            .then(() => fs.promises.writeFile(tempPath, data, "utf8"))
+            .then(() => fs.promises.rename(tempPath, this.filePath));
+        return this.lastSave;
+    }
+
+    /**
+     * Gets the state the task was in when it was last synced
+     *
+     * @param task {Task} The task to get the snapshot of
+     * @return {Task|undefined} A copy of the task as it was last synced, or undefined if it has never been synced
+     */
+    getSnapshot(task) {
+        let snapshot = this.snapshots.find(snapshot => task.isSameTask(this._toTask(snapshot)));
+        return snapshot ? this._toTask(snapshot) : undefined;
+    }
+
+    /**
+     * Get every task that has a snapshot.
+     * @return {Task[]} A copy of each task as it was last synced
+     */
+    getSnapshots() {
+        return this.snapshots.map(snapshot => this._toTask(snapshot));
+    }
+
+    /**
+     * Records the current values of the task as the last synced state.
+     * This replaces any previous snapshot of the task.
+     *
+     * Fields with an unresolved conflict keep the value from before the conflict,
+     * so that the conflict is detected again on the next sync.
+     *
+     * @param task {Task} The task that was synced
+     */
+    recordTask(task) {
+        let snapshot = JSON.parse(JSON.stringify(task.fields));
+        for (let conflict of this.getConflicts(task)) {
+            snapshot[conflict.field] = conflict.base;
+        }
+        this._removeSnapshot(task);
+        this.snapshots.push(snapshot);
+    }
+
+    /**
+     * Removes the snapshot of a task, such as when it has been deleted from all services.
+     * Any conflicts on the task are removed as well
+     *
+     * @param task {Task} The task to forget
+     * @return {boolean} True if there was a snapshot to remove, false otherwise
+     */
+    forgetTask(task) {
+        this.setConflicts(task, []);
+        return this._removeSnapshot(task);
+    }
+
+    /**
+     * Get the unresolved conflicts
+     *
+     * @param [task] {Task} The task to get the conflicts for. If not given then all conflicts are returned
+     * @return {Array<{name: string, field: string, base: *, values: Object.<string, *>, detected: string}>}
+     */
+    getConflicts(task) {
+        if (task) {
+            return this.conflicts.filter(conflict => task.isSameTask(this._toTask(conflict)));
+        } else {
+            return this.conflicts;
+        }
+    }
+
+    /**
+     * Replace all the conflicts recorded for a task
+     *
+     * @param task {Task} The task the conflicts are on
+     * @param conflicts {MergeConflict[]} The conflicts found when merging the task
+     */
+    setConflicts(task, conflicts) {
+        let previous = this.getConflicts(task);
+        this.conflicts = this.conflicts.filter(conflict => !previous.includes(conflict));
+        for (let conflict of conflicts) {
+            let existing = previous.find(other => other.field === conflict.field);
+            let record = {
+                name: task.getField(fields.NAME),
+                field: conflict.field,
+                base: conflict.base,
+                values: conflict.values,
+                detected: existing ? existing.detected : new Date().toISOString()
+            };
+            for (let idField of idFields) {
+                record[idField] = task.getField(idField);
+            }
+            this.conflicts.push(record);
+        }
+    }
+
+    /**
+     * Marks conflicts on the given fields as resolved, such as when a new value was pushed to every service
+     *
+     * @param task {Task} The task the conflicts are on
+     * @param resolvedFields {string[]} The fields that are no longer in conflict
+     */
+    resolveConflicts(task, resolvedFields) {
+        this.conflicts = this.conflicts.filter(conflict =>
+            !(resolvedFields.includes(conflict.field) && task.isSameTask(this._toTask(conflict))));
+    }
+
+    /**
+     * Removes the snapshot of a task, leaving any conflicts on it
+     *
+     * @param task {Task} The task to remove the snapshot of
+     * @return {boolean} True if there was a snapshot to remove, false otherwise
+     * @private
+     */
+    _removeSnapshot(task) {
+        let index = this.snapshots.findIndex(snapshot => task.isSameTask(this._toTask(snapshot)));
+        if (index >= 0) {
+            this.snapshots.splice(index, 1);
+            return true;
+        } else {
+            return false;
+        }
+    }
+
+    /**
+     * Converts the raw snapshot data back into a task
+     *
+     * @param snapshot {Object.<string, *>} The raw field values
+     * @return {Task} A task holding those values
+     * @private
+     */
+    _toTask(snapshot) {
+        let task = new Task();
+        for (let field in snapshot) {
+            if (snapshot.hasOwnProperty(field) && task.fields.hasOwnProperty(field)) {
+                task.fields[field] = snapshot[field];
+            }
+        }
+        return task;
+    }
+}
+
+module.exports = new SyncState(syncStatePath || "syncState.json");
@@ -1,5 +1,5 @@
-const {defaults} = require("./config.json");
-const {fields} = require('./Globals');
+const {defaults} = require("./Config.js").config;
+const {fields, idFields} = require('./Globals');
 
 class Task {
     constructor() {
@@ -15,8 +15,6 @@ class Task {
             }
         }
 
-        this.googleTaskMade = false;
-        this.trelloCardMade = false;
         this.listCategoryAdded = false;
         this.updatedFields = new Set();
     }
@@ -41,30 +39,34 @@ class Task {
      * @param value The value to try and write
      */
     setIfData(fieldName, value) {
-        if (this.getField(fieldName) !== null) {
-            switch (typeof value) {
-                case "undefined":
-                    return; // This is nothing by default
-
-                case "object":
-                    if (Array.isArray(value) && value.length === 0 // Empty array
-                        || Object.keys(value).length === 0 // Empty dict
-                        || value == null) { // null
-                        return;
-                    } else {
-                        break;
-                    }
-                case "string":
-                    if (value === "") {
-                        return; // Empty string
-                    } else {
-                        break;
-                    }
-            }
+        if (this.getField(fieldName) !== null && Task.isBlank(value)) {
+            return;
         }
         this.setField(fieldName, value);
     }
 
+    /**
+     * Checks if a value is considered to be "nothing".
+     * This is undefined, null, an empty string, an empty list or an empty dict.
+     *
+     * @param value The value to check
+     * @return {boolean} True if the value is nothing, false otherwise
+     */
+    static isBlank(value) {
+        switch (typeof value) {
+            case "undefined":
+                return true; // This is nothing by default
+            case "object":
+                return value == null // null
+                    || Array.isArray(value) && value.length === 0 // Empty array
+                    || Object.keys(value).length === 0; // Empty dict
+            case "string":
+                return value === ""; // Empty string
+            default:
+                return false;
+        }
+    }
+
     /**
      * Sets a field to the value.
      * @param fieldName The name of the field to set
@@ -87,6 +89,20 @@ class Task {
         }
     }
 
+    /**
+     * Checks if another task refers to the same entries on the services as this one.
+     * Tasks are considered the same if they share the ID of an entry on any service
+     *
+     * @param other {Task} The task to compare against
+     * @return {boolean} True if both tasks refer to the same entries, false otherwise
+     */
+    isSameTask(other) {
+        return idFields.some(idField => {
+            let id = this.getField(idField);
+            return !!id && id === other.getField(idField);
+        });
+    }
+
     addCategory(category) {
         let i = this.fields[fields.CATEGORIES].indexOf(category);
         if (i < 0) {
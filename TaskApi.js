@@ -0,0 +1,235 @@
+const express = require("express");
+const crypto = require("crypto");
+const {fields, idFields, categories} = require("./Globals");
+const {apiToken} = require("./Config.js").tokens;
+
+/**
+ * The fields that can be set through the API, and the type each must be.
+ * The rest are either the ID's of the task, which are set by the services, or are only ever read from GCI.
+ * @type {Object.<string, string>}
+ */
+const writableFields = {
+    [fields.NAME]: "string",
+    [fields.DESCRIPTION]: "string",
+    [fields.STATUS]: "integer",
+    [fields.MENTORS]: "strings",
+    [fields.EXTERNAL_URL]: "string",
+    [fields.MAX_INSTANCES]: "integer",
+    [fields.TAGS]: "strings",
+    [fields.IS_BEGINNER]: "boolean",
+    [fields.DAYS]: "integer",
+    [fields.CATEGORIES]: "categories"
+};
+
+/**
+ * What changes made through the API are recorded as coming from in the journal
+ * @type {string}
+ */
+const source = "api";
+
+/**
+ * A JSON API for scripts and other tools to list, create, edit and delete tasks without going through Trello.
+ *
+ * Every route needs the `apiToken` from the tokens file, sent as `Authorization: Bearer <token>`.
+ * If there is no `apiToken` then the API is turned off, and every request is refused.
+ *
+ *  - `GET /tasks` lists every task
+ *  - `POST /tasks` makes a new task on every service
+ *  - `GET /tasks/:id` gets a task by its ID on any service
+ *  - `PATCH /tasks/:id` changes some fields of a task on every service
+ *  - `DELETE /tasks/:id` deletes a task from every service
+ *  - `POST /sync` loads a task, given by `id` in the body or query, or every task if there is no `id`,
+ *    from the services again and pushes any differences, answering with what was changed
+ *
+ * Tasks are sent as an object of their fields, named as in {@link fields}, which includes their ID on each service.
+ */
+class TaskApi {
+    /**
+     * Make the routes for the API
+     *
+     * @param taskSyncer {TaskSyncer} The syncer holding the task list, used to write changes to every service
+     * @return {express.Router} The routes, to be added to the express app
+     */
+    createRouter(taskSyncer) {
+        const router = express.Router();
+        router.use(["/tasks", "/sync"], (req, res, next) => this.authenticate(req, res, next));
+
+        router.get("/tasks", (req, res) => {
+            res.json(taskSyncer.taskList.getTasks().map(task => task.fields));
+        });
+
+        router.post("/tasks", (req, res) => {
+            let problems = this.validate(req.body, true);
+            if (problems.length !== 0) {
+                return res.status(400).json({error: "The task is invalid", problems: problems});
+            }
+            this._respond(res, 201, taskSyncer.createTask(req.body, source));
+        });
+
+        router.get("/tasks/:id", (req, res) => {
+            let task = this._findTask(taskSyncer, req, res);
+            if (task) {
+                res.json(task.fields);
+            }
+        });
+
+        router.patch("/tasks/:id", (req, res) => {
+            let task = this._findTask(taskSyncer, req, res);
+            if (!task) {
+                return;
+            }
+            let problems = this.validate(req.body, false);
+            if (problems.length !== 0) {
+                return res.status(400).json({error: "The changes are invalid", problems: problems});
+            }
+            this._respond(res, 200, taskSyncer.updateTask(task, req.body, source).then(() => task));
+        });
+
+        router.delete("/tasks/:id", (req, res) => {
+            let task = this._findTask(taskSyncer, req, res);
+            if (task) {
+                this._respond(res, 200, taskSyncer.deleteTask(task, source).then(() => task));
+            }
+        });
+
+        router.post("/sync", (req, res) => {
+            let id = (req.body && req.body.id) || req.query.id;
+            if (id !== undefined && typeof id !== "string" && typeof id !== "number") {
+                return res.status(400).json({error: "'id' should be the ID of a task on any service"});
+            }
+            Promise.resolve(taskSyncer.resync(id === undefined ? undefined : String(id)))
+                .then(report => {
+                    if (!report) {
+                        return res.status(404).json({error: `There is no task with the ID '${id}' on any service`});
+                    }
+                    res.json(report);
+                })
+                .catch(reason => {
+                    console.error(`Syncing again from the API failed: ${reason}`);
+                    res.status(502).json({error: `Syncing again failed: ${reason}`});
+                });
+        });
+
+        return router;
+    }
+
+    /**
+     * Express middleware that refuses any request without the API token
+     *
+     * @param req {express.Request}
+     * @param res {express.Response}
+     * @param next {function()} Carries on to the route
+     */
+    authenticate(req, res, next) {
+        if (!apiToken) {
+            return res.status(403).json({error: "The API is turned off, as there is no apiToken in the tokens file"});
+        }
+        let given = Buffer.from((req.get("Authorization") || "").replace(/^Bearer /, ""));
+        let expected = Buffer.from(apiToken);
+        if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+            return res.status(401).json({error: "A valid API token is needed"});
+        }
+        next();
+    }
+
+    /**
+     * Check the fields sent for a task
+     *
+     * @param body {*} The request body, which should be an object of fields
+     * @param creating {boolean} True if the task is being made, and so needs a name
+     * @return {string[]} A description of each problem, or an empty list if there are none
+     */
+    validate(body, creating) {
+        if (typeof body !== "object" || body === null || Array.isArray(body)) {
+            return ["The body should be a JSON object of fields"];
+        }
+        let problems = [];
+        for (let field of Object.keys(body)) {
+            if (!Object.values(fields).includes(field)) {
+                problems.push(`'${field}' is not a field. Expected one of ${Object.keys(writableFields).join(", ")}`);
+            } else if (!writableFields[field]) {
+                problems.push(`'${field}' can't be set, as it is ${idFields.includes(field) ? "set by the service" : "only read from GCI"}`);
+            } else if (!this._isType(body[field], writableFields[field])) {
+                problems.push(`'${field}' should be ${this._describeType(writableFields[field])}, but is ${JSON.stringify(body[field])}`);
+            }
+        }
+        if (creating && (typeof body[fields.NAME] !== "string" || body[fields.NAME].trim() === "")) {
+            problems.push(`'${fields.NAME}' is needed to make a task`);
+        }
+        return problems;
+    }
+
+    /**
+     * Find the task named by the ID in the path, answering with a 404 if there isn't one
+     *
+     * @param taskSyncer {TaskSyncer}
+     * @param req {express.Request}
+     * @param res {express.Response}
+     * @return {Task|undefined} The task, if there is one with that ID on any service
+     * @private
+     */
+    _findTask(taskSyncer, req, res) {
+        let task = taskSyncer.findTask(req.params.id);
+        if (!task) {
+            res.status(404).json({error: `There is no task with the ID '${req.params.id}'`});
+        }
+        return task;
+    }
+
+    /**
+     * Answer with a task once it has been written to every service, or with the reason if that failed
+     *
+     * @param res {express.Response}
+     * @param status {number} The status to answer with once written
+     * @param written {Promise<Task>} A promise for the task, that finishes once it is written
+     * @private
+     */
+    _respond(res, status, written) {
+        Promise.resolve(written)
+            .then(task => res.status(status).json(task.fields))
+            .catch(reason => {
+                console.error(`Writing a task from the API failed: ${reason}`);
+                res.status(502).json({error: `Writing the task to the services failed: ${reason}`});
+            });
+    }
+
+    /**
+     * @param value {*}
+     * @param type {string} One of string, integer, boolean, strings or categories
+     * @return {boolean} True if the value is of the type
+     * @private
+     */
+    _isType(value, type) {
+        switch (type) {
+            case "string":
+                return typeof value === "string";
+            case "integer":
+                return Number.isInteger(value) && value >= 0;
+            case "boolean":
+                return typeof value === "boolean";
+            case "strings":
+                return Array.isArray(value) && value.every(item => typeof item === "string");
+            case "categories":
+                return Array.isArray(value) && value.every(item => Object.values(categories).includes(item));
+            default:
+                throw new Error(`Unknown type '${type}' in task API`);
+        }
+    }
+
+    /**
+     * @param type {string} One of string, integer, boolean, strings or categories
+     * @return {string} The type in a human readable form
+     * @private
+     */
+    _describeType(type) {
+        return {
+            string: "a string",
+            integer: "a whole number",
+            boolean: "true or false",
+            strings: "a list of strings",
+            categories: `a list of categories (${Object.values(categories).join(", ")})`
+        }[type];
+    }
+}
+
+module.exports = new TaskApi();
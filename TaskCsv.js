@@ -0,0 +1,268 @@
+const {fields, idFields, categories} = require("./Globals");
+
+/**
+ * The type of each field, for those that aren't plain strings
+ * @type {Object.<string, string>}
+ */
+const fieldTypes = {
+    [fields.GOOGLE_ID]: "number",
+    [fields.GITHUB_ID]: "number",
+    [fields.STATUS]: "number",
+    [fields.MAX_INSTANCES]: "number",
+    [fields.DAYS]: "number",
+    [fields.CLAIMED_COUNT]: "number",
+    [fields.AVAILABLE_COUNT]: "number",
+    [fields.COMPLETED_COUNT]: "number",
+    [fields.IS_BEGINNER]: "boolean",
+    [fields.TAGS]: "list",
+    [fields.MENTORS]: "list",
+    [fields.CATEGORIES]: "categories"
+};
+
+/**
+ * The fields that are only ever read from GCI, and so are exported but never imported
+ * @type {string[]}
+ */
+const readOnlyFields = [
+    fields.LAST_MODIFIED,
+    fields.CLAIMED_COUNT,
+    fields.AVAILABLE_COUNT,
+    fields.COMPLETED_COUNT
+];
+
+/**
+ * What separates the items in a list within a single cell
+ * @type {string}
+ */
+const listSeparator = ";";
+
+/**
+ * A row that could be parsed, with the value of each non-empty cell keyed by field
+ * @typedef {{line: number, values: Object.<string, *>}} CsvRow
+ *
+ * A problem found while parsing
+ * @typedef {{line: number, column: (string|undefined), value: (string|undefined), message: string}} CsvError
+ */
+
+/**
+ * Converts tasks to and from CSV, so that they can be planned in a spreadsheet.
+ *
+ * There is one column per field, headed by the name of the field (ie: `googleId`, `name`, `desc`).
+ * Lists such as tags and categories are separated by semicolons within a single cell.
+ */
+class TaskCsv {
+
+    /**
+     * Convert tasks into CSV, with a column for every field
+     *
+     * @param tasks {Task[]} The tasks to convert
+     * @return {string} The CSV text
+     */
+    serialise(tasks) {
+        let columns = Object.values(fields);
+        let lines = [columns.map(column => this._quote(column)).join(",")];
+        for (let task of tasks) {
+            lines.push(columns.map(column => this._quote(this._formatValue(task.getField(column)))).join(","));
+        }
+        return lines.join("\r\n") + "\r\n";
+    }
+
+    /**
+     * Parse CSV into rows of field values, reporting anything that couldn't be parsed.
+     * Rows with any problems are left out entirely, so that a task is never half imported.
+     *
+     * Empty cells, and columns for read-only fields, are left out of the values.
+     *
+     * @param text {string} The CSV text, with a header row naming the field in each column
+     * @return {{rows: CsvRow[], errors: CsvError[]}} The rows that could be parsed, and the problems with the rest
+     */
+    parse(text) {
+        let records = this._splitRecords(text);
+        let errors = [];
+        if (records.length === 0) {
+            errors.push({line: 1, message: "There is no header row"});
+            return {rows: [], errors: errors};
+        }
+
+        let [header, ...body] = records;
+        let known = new Set(Object.values(fields));
+        for (let column of header.cells) {
+            if (!known.has(column.trim())) {
+                errors.push({line: header.line, column: column, message: `Unknown column. Expected one of ${[...known].join(", ")}`});
+            }
+        }
+        if (errors.length !== 0) {
+            return {rows: [], errors: errors};
+        }
+        let columns = header.cells.map(column => column.trim());
+
+        let rows = [];
+        for (let record of body) {
+            if (record.cells.every(cell => cell.trim() === "")) {
+                continue; // Spreadsheets often leave blank rows at the end
+            }
+            if (record.cells.length !== columns.length) {
+                errors.push({line: record.line, message: `Expected ${columns.length} cell(s) but found ${record.cells.length}`});
+                continue;
+            }
+
+            let values = {};
+            let rowErrors = [];
+            columns.forEach((column, index) => {
+                let cell = record.cells[index].trim();
+                if (cell === "" || readOnlyFields.includes(column)) {
+                    return;
+                }
+                try {
+                    values[column] = this._parseValue(column, cell);
+                } catch (reason) {
+                    rowErrors.push({line: record.line, column: column, value: cell, message: reason.message});
+                }
+            });
+            if (Object.keys(values).every(field => !idFields.includes(field)) && !values[fields.NAME]) {
+                rowErrors.push({line: record.line, message: "New tasks need a name. Otherwise give the ID of an existing task"});
+            }
+            if (rowErrors.length === 0) {
+                rows.push({line: record.line, values: values});
+            } else {
+                errors.push(...rowErrors);
+            }
+        }
+        return {rows: rows, errors: errors};
+    }
+
+    /**
+     * Convert a single cell into the value for its field
+     *
+     * @param field {string} The field the cell is for
+     * @param cell {string} The trimmed, non-empty, contents of the cell
+     * @return {*} The value
+     * @throws {Error} If the cell is not valid for the field
+     * @private
+     */
+    _parseValue(field, cell) {
+        switch (fieldTypes[field]) {
+            case "number":
+                if (!/^\d+$/.test(cell)) {
+                    throw new Error("Expected a whole number");
+                }
+                return parseInt(cell);
+            case "boolean":
+                switch (cell.toLowerCase()) {
+                    case "true":
+                    case "yes":
+                    case "1":
+                        return true;
+                    case "false":
+                    case "no":
+                    case "0":
+                        return false;
+                    default:
+                        throw new Error("Expected true or false");
+                }
+            case "list":
+                return this._splitList(cell);
+            case "categories":
+                const valid = Object.values(categories);
+                return this._splitList(cell).map(item => {
+                    let category = parseInt(item);
+                    if (!/^\d+$/.test(item) || !valid.includes(category)) {
+                        throw new Error(`Unknown category '${item}'. Expected one of ${valid.join(", ")}`);
+                    }
+                    return category;
+                });
+            default:
+                return cell;
+        }
+    }
+
+    /**
+     * @param cell {string} A cell holding a list
+     * @return {string[]} The non-empty items in the list
+     * @private
+     */
+    _splitList(cell) {
+        return cell.split(listSeparator).map(item => item.trim()).filter(item => item !== "");
+    }
+
+    /**
+     * @param value {*} The value of a field
+     * @return {string} The value as it should appear in a cell
+     * @private
+     */
+    _formatValue(value) {
+        if (value === null || value === undefined) {
+            return "";
+        }
+        if (Array.isArray(value)) {
+            return value.join(listSeparator);
+        }
+        return String(value);
+    }
+
+    /**
+     * @param cell {string} The contents of a cell
+     * @return {string} The cell, quoted if it needs to be
+     * @private
+     */
+    _quote(cell) {
+        return /[",\r\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell;
+    }
+
+    /**
+     * Split CSV text into records, following RFC 4180.
+     * Quoted cells may contain commas, new lines and doubled quotes.
+     *
+     * @param text {string} The CSV text
+     * @return {Array<{line: number, cells: string[]}>} Each record, along with the line it started on
+     * @private
+     */
+    _splitRecords(text) {
+        text = text.replace(/^\uFEFF/, ""); // Spreadsheets often start the file with a byte order mark
+        let records = [];
+        let cells = [];
+        let cell = "";
+        let quoted = false;
+        let line = 1;
+        let startLine = 1;
+        for (let i = 0; i < text.length; i++) {
+            let char = text[i];
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    if (char === "\n") {
+                        line++;
+                    }
+                    cell += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === ",") {
+                cells.push(cell);
+                cell = "";
+            } else if (char === "\n" || char === "\r") {
+                if (char === "\r" && text[i + 1] === "\n") {
+                    i++;
+                }
+                cells.push(cell);
+                records.push({line: startLine, cells: cells});
+                cells = [];
+                cell = "";
+                startLine = ++line;
+            } else {
+                cell += char;
+            }
+        }
+        if (cell !== "" || cells.length !== 0) {
+            cells.push(cell);
+            records.push({line: startLine, cells: cells});
+        }
+        return records;
+    }
+}
+
+module.exports = new TaskCsv();
@@ -22,12 +22,31 @@ class TaskList {
         return new Task();
     }
 
+    /**
+     * Creates a new, empty, task list that is separate from this one.
+     * This is useful for loading a single service without altering the tasks in this list
+     * @return {TaskList} The new list
+     */
+    createEmptyList() {
+        return new TaskList();
+    }
+
     createTask() {
         let task = this.getDefaultTask();
         this.tasks.push(task);
         return task;
     }
 
+    /**
+     * Adds an existing task to the list
+     * @param task {Task} The task to add
+     * @return {Task} The task that was added
+     */
+    addTask(task) {
+        this.tasks.push(task);
+        return task;
+    }
+
     /**
      * Returns a task matching the given predicate
      * If no task in the list matched, then a new task is created.
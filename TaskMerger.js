@@ -0,0 +1,141 @@
+const Task = require("./Task.js");
+const googleMonitor = require("./GoogleMonitor.js");
+const {fields, mergePolicies} = require("./Globals");
+const {mergePolicies: configuredPolicies} = require("./Config.js").config;
+
+/**
+ * The fields that are replicated between services, and so need merging.
+ * The ID fields are not included as each service owns its own ID.
+ * @type {string[]}
+ */
+const mergedFields = [
+    fields.NAME,
+    fields.DESCRIPTION,
+    fields.MAX_INSTANCES,
+    fields.TAGS,
+    fields.IS_BEGINNER,
+    fields.DAYS,
+    fields.CATEGORIES
+];
+
+/**
+ * A field that was altered on more than one service to different values, and couldn't be resolved by its policy.
+ *
+ * @typedef {{
+ *      field: string
+ *      base: *
+ *      values: Object.<string, *>
+ * }} MergeConflict
+ */
+
+/**
+ * Performs a three-way merge between the state a task was in when it was last synced,
+ * and the state it is currently in on each service.
+ *
+ * A field altered on only one service takes the value from that service.
+ * Where a field was altered on several services the policy configured for that field in `mergePolicies` is used.
+ * This is either the name of the service that wins, "newest" to use the most recently modified or "conflict" to never resolve it.
+ * Fields without a policy use the one given by `default`, or Trello wins if there is none.
+ */
+class TaskMerger {
+    constructor(policies) {
+        /**
+         * @type {Object.<string, string>}
+         */
+        this.policies = policies || {};
+    }
+
+    /**
+     * Gets the policy to use when a field was altered on more than one service
+     *
+     * @param field {string} The field to get the policy for
+     * @return {string} One of {@link mergePolicies}
+     */
+    getPolicy(field) {
+        return this.policies[field] || this.policies.default || mergePolicies.TRELLO_WINS;
+    }
+
+    /**
+     * Merge the versions of a task from each service into a single task.
+     *
+     * Conflicting fields are left as they are on the task, so that nothing is overwritten.
+     *
+     * @param task {Task} The task to write the merged values into
+     * @param base {Task|undefined} The task as it was when last synced, or undefined if it has never been synced
+     * @param versions {Object.<string, Task>} The task as it is on each service, keyed by service name
+     * @return {MergeConflict[]} The fields that could not be merged
+     */
+    merge(task, base, versions) {
+        let services = Object.keys(versions);
+        let changed = {};
+        for (let service of services) {
+            if (base) {
+                changed[service] = new Set(googleMonitor.detectDifferences(versions[service], base));
+            } else { // Never synced, so anything with data counts as a change
+                changed[service] = new Set(mergedFields.filter(field => !Task.isBlank(versions[service].getField(field))));
+            }
+        }
+
+        let conflicts = [];
+        for (let field of mergedFields) {
+            let changedBy = services.filter(service => changed[service].has(field));
+            if (changedBy.length === 0) {
+                if (base) {
+                    task.setField(field, base.getField(field));
+                }
+                continue;
+            }
+
+            let winner = this._pickWinner(field, changedBy, versions);
+            if (winner) {
+                task.setField(field, versions[winner].getField(field));
+            } else {
+                let values = {};
+                for (let service of services) {
+                    values[service] = versions[service].getField(field);
+                }
+                conflicts.push({field: field, base: base ? base.getField(field) : null, values: values});
+            }
+        }
+        return conflicts;
+    }
+
+    /**
+     * Decide which service's value to use for a field altered on several services
+     *
+     * @param field {string} The field being merged
+     * @param changedBy {string[]} The services the field was altered on
+     * @param versions {Object.<string, Task>} The task as it is on each service
+     * @return {string|undefined} The service with the winning value, or undefined if it is a conflict
+     * @private
+     */
+    _pickWinner(field, changedBy, versions) {
+        let first = versions[changedBy[0]];
+        if (changedBy.every(service => !googleMonitor.detectDifferences(first, versions[service]).includes(field))) {
+            return changedBy[0]; // All made the same change
+        }
+
+        let policy = this.getPolicy(field);
+        switch (policy) {
+            case mergePolicies.CONFLICT:
+                return undefined;
+            case mergePolicies.NEWEST_WINS:
+                let newest = [];
+                let newestTime = -Infinity;
+                for (let service of changedBy) {
+                    let time = Date.parse(versions[service].getField(fields.LAST_MODIFIED));
+                    if (time > newestTime) {
+                        newest = [service];
+                        newestTime = time;
+                    } else if (time === newestTime) {
+                        newest.push(service);
+                    }
+                }
+                return newest.length === 1 ? newest[0] : undefined;
+            default:
+                return changedBy.includes(policy) ? policy : undefined;
+        }
+    }
+}
+
+module.exports = new TaskMerger(configuredPolicies);
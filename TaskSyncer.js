@@ -1,110 +1,1068 @@
 const TaskList = require("./TaskList.js");
 
-const {fields, categories} = require("./Globals");
+const {fields, idFields, syncActions, deletionStatuses, requestPriorities, propagations, deadLetterStatuses} = require("./Globals");
+const {github, markdown} = require("./Config.js").config;
+const registry = require("./ServiceRegistry.js");
 const trelloInterface = require("./TrelloInterface.js");
 const trelloMonitor = require("./TrelloMonitor.js");
 const googleInterface = require("./GoogleInterface.js");
 const googleMonitor = require("./GoogleMonitor.js");
+const syncState = require("./SyncState.js");
+const taskMerger = require("./TaskMerger.js");
+const journal = require("./AuditJournal.js");
+const echoFilter = require("./EchoFilter.js");
+const deletionQueue = require("./DeletionQueue.js");
+const deadLetterQueue = require("./DeadLetterQueue.js");
+const SyncPlan = require("./SyncPlan.js");
+const health = require("./Health.js");
+const taskApi = require("./TaskApi.js");
+
+/**
+ * How often, in seconds, held deletions are checked while monitoring
+ * @type {number}
+ */
+const deletionCheckRate = 10;
+
+/**
+ * How often, in seconds, dead letters are checked for any due to be retried while monitoring
+ * @type {number}
+ */
+const deadLetterCheckRate = 10;
+
+/**
+ * What needs to be done to sync a single task
+ *
+ * @typedef {{
+ *      task: (Task|undefined)
+ *      snapshot: (Task|undefined)
+ *      conflicts: MergeConflict[]
+ *      deletedFrom: Service[]
+ *      actions: Object.<string, PlannedAction>
+ * }} TaskPlan
+ *
+ * @typedef {{
+ *      action: string
+ *      current: (Task|undefined)
+ *      target: (Task|undefined)
+ * }} PlannedAction
+ *
+ * The fields of a single task that would be put back to an earlier value
+ *
+ * @typedef {{
+ *      task: Task
+ *      changes: FieldChange[]
+ * }} TaskRevert
+ */
 
 class TaskSyncer {
     taskList = TaskList;
-    google = googleInterface;
-    trello = trelloInterface;
+    registry = registry;
+    syncState = syncState;
+    merger = taskMerger;
+    journal = journal;
+    echoes = echoFilter;
+    deletions = deletionQueue;
+    deadLetters = deadLetterQueue;
 
+    constructor() {
+        this.registry.register("google", "GCI", googleInterface, googleMonitor,
+            fields.GOOGLE_ID, [fields.GOOGLE_ID, fields.TRELLO_ID]);
+        this.registry.register("trello", "Trello", trelloInterface, trelloMonitor,
+            fields.TRELLO_ID, [fields.GOOGLE_ID, fields.TRELLO_ID]);
+        if (github) { // Only loaded when configured, as the requester needs the repository to use
+            this.registry.register("github", "GitHub", require("./GitHubInterface.js"), require("./GitHubMonitor.js"),
+                fields.GITHUB_ID, [fields.GOOGLE_ID, fields.TRELLO_ID, fields.GITHUB_ID]);
+        }
+        if (markdown) {
+            this.registry.register("markdown", "Markdown", require("./MarkdownInterface.js"), require("./MarkdownMonitor.js"),
+                fields.MARKDOWN_ID, idFields);
+        }
+    }
 
-    loadFromTrello() {
-        return this.trello.loadAllTasks(this.taskList);
+    /**
+     * Load the state each task was in when last synced, any deletions still being held back and any dead letters, from the disk.
+     * This should be done before any other loading or syncing.
+     * @return {Promise<SyncState>}
+     */
+    loadSyncState() {
+        return this.deletions.load()
+            .then(() => this.deadLetters.load())
+            .then(() => this.syncState.load());
     }
 
-    writeToTrello() {
-        return this.trello.writeAllTasks(this.taskList)
-            .tap(this._propagateIds.bind(this));
+    /**
+     * Fill the task list with every task as it was when last synced.
+     * This lets monitoring carry on from the last sync without loading from, or pushing to, any service first
+     *
+     * @return {TaskList} The now populated task list
+     */
+    loadFromSyncState() {
+        for (let task of this.syncState.getSnapshots()) {
+            this.taskList.addTask(task);
+        }
+        return this.taskList;
     }
 
-    monitorTrello() {
-        trelloMonitor.setMonitorCallbacks(this.onTrelloCreated, this.onTrelloDeleted, this.onTrelloAltered);
-        trelloMonitor.setupMonitoring(this.taskList);
+    /**
+     * Loads every service separately and compares each task against the state it was in when last synced.
+     * Only the tasks that were created, deleted or altered while we weren't running are pushed to the other services.
+     *
+     * Where the same field was altered on several services, the policy configured for that field decides which is used.
+     * Fields that can't be resolved are recorded as conflicts in the sync state, and left as they are on each service.
+     * Deletions are held back like those seen while monitoring, and any that are ready are then pushed.
+     * Once finished the task list will contain the merged tasks, replacing any that were in it before.
+     *
+     * @return {Promise<SyncPlan>} A promise containing what was changed on each service
+     */
+    async syncChanges() {
+        let groups = await this._loadGroups(false);
+
+        let snapshots = this.syncState.getSnapshots();
+        let plans = groups.map(versions => this._planTask(versions));
+        // Each plan adds its task to the list before its first write, so the list is never left without them while monitoring
+        this.taskList.getTasks().splice(0);
+        await Promise.all(plans.map(plan => this._applyPlan(plan)));
+        let report = new SyncPlan(this.registry.getServices());
+        plans.forEach(plan => report.addTask(plan)); // Once written, so that anything created has its new ID
+
+        // Anything left was deleted from every service, so there is nothing to push
+        for (let snapshot of snapshots) {
+            if (!groups.some(versions => Object.values(versions).some(version => version.isSameTask(snapshot)))) {
+                this.syncState.forgetTask(snapshot);
+            }
+        }
+        await this.syncState.save();
+        await this.processDeletions();
+        return report;
     }
 
     /**
-     * @param task {Task}
+     * Load a task, or every task, from the services again and push any differences, in the same way as {@link TaskSyncer#syncChanges}.
+     * This picks up changes missed while monitoring, such as from a webhook that never arrived, without restarting.
+     *
+     * A single task is loaded by its ID on each service, starting from the one given.
+     * If the task isn't in the task list, the ID is tried as a Trello card ID, or as a GCI task ID if it is a number.
+     *
+     * @param [id] {string} The ID of the task on any service. If not given, every task is synced again
+     * @return {Promise<SyncPlan|undefined>} What was changed on each service, or undefined if no service has the task
      */
-    onTrelloCreated(task) {
-        return googleInterface.writeOrCreate(task)
+    async resync(id) {
+        if (id === undefined) {
+            return this.syncChanges();
+        }
+
+        let local = this.findTask(id);
+        let probe = this.taskList.getDefaultTask();
+        if (local) {
+            this._addMissingIds(probe, local);
+        } else if (/^\d+$/.test(id)) {
+            probe.setField(fields.GOOGLE_ID, parseInt(id));
+        } else {
+            probe.setField(fields.TRELLO_ID, id);
+        }
+        let snapshot = this.syncState.getSnapshot(probe);
+        if (snapshot) {
+            this._addMissingIds(probe, snapshot);
+        }
+
+        let versions = await this._loadVersions(probe);
+        if (Object.keys(versions).length === 0) {
+            if (local) { // Deleted from every service without us noticing, so there is nothing to push
+                let tombstone = this.deletions.find(local);
+                if (tombstone) {
+                    this.deletions.remove(tombstone);
+                    await this.deletions.save();
+                }
+                this.taskList.deleteThisTask(local);
+                await this._recordDeletion(probe);
+                console.log(`Task '${local.getField(fields.NAME)}' was deleted from every service`);
+            }
+            return undefined;
+        }
+
+        let plan = this._planTask(versions);
+        if (local) { // Replaced by the merged task, which is added before anything is written
+            this.taskList.deleteThisTask(local);
+        }
+        await this._applyPlan(plan);
+        let report = new SyncPlan(this.registry.getServices());
+        report.addTask(plan);
+        return report;
     }
 
     /**
-     * @param task {Task}
+     * Find a task in the task list by its ID on any service
+     *
+     * @param id {string} The ID, which is compared as a string
+     * @return {Task|undefined} The task, if there is one with that ID
      */
-    onTrelloDeleted(task) {
-        return googleInterface.deleteTask(task)
+    findTask(id) {
+        return this.taskList.getTask(task => idFields
+            .some(idField => task.getField(idField) !== null && String(task.getField(idField)) === id));
     }
 
     /**
+     * Works out what {@link TaskSyncer#syncChanges} would do, without writing anything to any service.
+     * Neither the task list nor the sync state are altered.
      *
-     * @param task {Task}
-     * @param updatedFields {String[]}
+     * @return {Promise<SyncPlan>} A promise containing the changes that would be made
      */
-    onTrelloAltered(task, updatedFields) {
-        return googleInterface.writeTask(task)
+    async planChanges() {
+        let groups = await this._loadGroups(true);
+        let plan = new SyncPlan(this.registry.getServices());
+        for (let versions of groups) {
+            plan.addTask(this._planTask(versions));
+        }
+        return plan;
     }
 
-    loadFromGoogle() {
-        return this.google.loadAllTasks(this.taskList);
+    /**
+     * Loads every service into separate lists, and then groups together the tasks that refer to each other.
+     *
+     * @param readOnly {boolean} If true nothing will be written to any service while loading
+     * @return {Promise<Array<Object.<string, Task>>>} The task from each service it exists on, keyed by service name
+     * @private
+     */
+    async _loadGroups(readOnly) {
+        let groups = [];
+        for (let service of this.registry.getServices()) {
+            let serviceList = this.taskList.createEmptyList();
+            await service.api.loadAllTasks(serviceList, readOnly);
+
+            for (let task of serviceList.getTasks()) {
+                let group = groups.find(versions => !versions[service.name]
+                    && Object.values(versions).some(version => version.isSameTask(task)));
+                if (group) {
+                    group[service.name] = task;
+                } else {
+                    groups.push({[service.name]: task});
+                }
+            }
+        }
+        return groups;
     }
 
-    writeToGoogle() {
-        return this.google.writeAllTasks(this.taskList)
-            .tap(this._propagateIds.bind(this));
+    /**
+     * Loads a single task from every service that has it.
+     * Each entry loaded can hold the ID's of the task on other services, so this carries on until no more are found.
+     *
+     * @param probe {Task} A task holding the ID's known so far, which gains any that are found
+     * @return {Promise<Object.<string, Task>>} The task from each service it exists on, keyed by service name
+     * @private
+     */
+    async _loadVersions(probe) {
+        let versions = {};
+        let tried = new Set();
+        let found = true;
+        while (found) {
+            found = false;
+            for (let service of this.registry.getServices()) {
+                let key = `${service.name}:${probe.getField(service.idField)}`;
+                if (versions[service.name] || !probe.getField(service.idField) || tried.has(key)) {
+                    continue;
+                }
+                tried.add(key);
+                let version = await service.api.loadTask(probe, requestPriorities.INTERACTIVE);
+                if (version) {
+                    versions[service.name] = version;
+                    this._addMissingIds(probe, version);
+                    found = true;
+                }
+            }
+        }
+        return versions;
     }
 
-    monitorGoogle() {
-        googleMonitor.setMonitorCallbacks(this.onGoogleCreated, this.onGoogleDeleted, this.onGoogleAltered);
-        googleMonitor.setupMonitoring(this.taskList);
+    /**
+     * Copy over the ID's of another task that a task doesn't have yet
+     *
+     * @param task {Task} The task to add the ID's to
+     * @param other {Task} The task to copy them from
+     * @private
+     */
+    _addMissingIds(task, other) {
+        for (let idField of idFields) {
+            if (task.getField(idField) === null) {
+                task.setIfData(idField, other.getField(idField));
+            }
+        }
     }
 
     /**
+     * Work out what needs to be done to sync a single task, given its state on each service.
      *
-     * @param task {Task}
+     * @param versions {Object.<string, Task>} The task as loaded from each service it exists on, keyed by service name
+     * @return {TaskPlan} What needs to be done on each service
+     * @private
      */
-    onGoogleCreated(task) {
-        return trelloInterface.createCard(task);
+    _planTask(versions) {
+        let present = this.registry.getServices().filter(service => versions[service.name]);
+        let snapshot = Object.values(versions)
+            .map(version => this.syncState.getSnapshot(version))
+            .find(snapshot => snapshot);
+
+        let plan = {
+            task: undefined,
+            snapshot: snapshot,
+            conflicts: [],
+            deletedFrom: [],
+            actions: {}
+        };
+        for (let service of this.registry.getServices()) {
+            plan.actions[service.name] = {action: syncActions.NONE, current: versions[service.name], target: undefined};
+        }
+
+        // If it was synced to a service that no longer has it, then it was deleted there while we were down
+        let deletedFrom = this.registry.getServices().filter(service => !versions[service.name]
+            && snapshot && snapshot.getField(service.idField));
+        if (deletedFrom.length !== 0) {
+            plan.deletedFrom = deletedFrom;
+            for (let service of present) {
+                plan.actions[service.name].action = syncActions.DELETE;
+            }
+            return plan;
+        }
+
+        // Conflicting fields are left with the value from the first service, so start from that
+        let task = this._copyTask(versions[present[0].name]);
+        plan.conflicts = this.merger.merge(task, snapshot, versions);
+        for (let service of present) {
+            task.setField(service.idField, versions[service.name].getField(service.idField));
+        }
+        plan.task = task;
+
+        for (let service of this.registry.getServices()) {
+            let planned = plan.actions[service.name];
+            if (!planned.current) {
+                if (this.deletions.isHeld(task, service.name)) {
+                    continue; // Deleted from there, so it isn't made again unless the deletion is discarded
+                }
+                planned.action = syncActions.CREATE;
+                planned.target = task;
+                continue;
+            }
+
+            // Each service keeps its own value for anything in conflict
+            planned.target = task;
+            if (plan.conflicts.length !== 0 && service !== present[0]) {
+                planned.target = this._copyTask(task);
+                for (let conflict of plan.conflicts) {
+                    planned.target.setField(conflict.field, planned.current.getField(conflict.field));
+                }
+            }
+            if (this.getDifferences(service, planned.target, planned.current).length !== 0) {
+                planned.action = syncActions.UPDATE;
+            }
+        }
+        return plan;
     }
 
     /**
+     * Push the changes needed to sync a single task, and record the outcome in the sync state.
+     * Deletions aren't pushed straight away, but are held back in the same way as those seen while monitoring.
      *
-     * @param task {Task}
+     * @param plan {TaskPlan} What needs to be done on each service
+     * @return {Promise<void>} A promise that finishes when the changes are pushed
+     * @private
      */
-    onGoogleDeleted(task) {
-        return trelloInterface.deleteTask(task);
+    async _applyPlan(plan) {
+        let services = this.registry.getServices();
+        let deleting = services.filter(service => plan.actions[service.name].action === syncActions.DELETE);
+        if (deleting.length !== 0) {
+            let task = this._copyTask(plan.actions[deleting[0].name].current);
+            for (let idField of idFields) {
+                task.setIfData(idField, plan.snapshot.getField(idField));
+            }
+            for (let service of deleting) {
+                task.setField(service.idField, plan.actions[service.name].current.getField(service.idField));
+            }
+            await this._holdDeletion(task, plan.deletedFrom);
+            return this.deletions.save();
+        }
+
+        let task = plan.task;
+        this.taskList.addTask(task);
+        this.syncState.setConflicts(task, plan.conflicts);
+        for (let conflict of plan.conflicts) {
+            let values = Object.keys(conflict.values)
+                .map(name => `${this.registry.getService(name).displayName} has '${conflict.values[name]}'`);
+            console.error(`Conflict in field '${conflict.field}' of task '${task.getField(fields.NAME)}'. ${values.join(", ")}`);
+        }
+
+        // Update first, so that any new ID's can then be propagated to everything at once
+        for (let service of services) {
+            let planned = plan.actions[service.name];
+            if (planned.action === syncActions.UPDATE) {
+                let changed = this.getDifferences(service, planned.target, planned.current);
+                await service.api.writeTask(planned.target, requestPriorities.BULK);
+                this.echoes.recordWritten(service.name, task, changed, planned.target);
+                this.journal.recordWrite(service.name, "updated", null, planned.target,
+                    this.journal.changesBetween(planned.current.fields, planned.target.fields, changed));
+            }
+        }
+        let created = [];
+        for (let service of services) {
+            if (plan.actions[service.name].action === syncActions.CREATE) {
+                await service.api.writeTask(task, requestPriorities.BULK);
+                this.echoes.recordWritten(service.name, task);
+                this.journal.recordWrite(service.name, "created", null, task, this.journal.changesBetween(undefined, task.fields));
+                created.push(service);
+            }
+        }
+        await this._propagateIds(task, created, requestPriorities.BULK);
+        await this._recordSync(task);
+    }
+
+    /**
+     * Gets the fields that differ between two versions of a task, ignoring the ID's of services the given service doesn't store.
+     *
+     * @param service {Service} The service the versions are for
+     * @param one {Task}
+     * @param two {Task}
+     * @return {string[]} The fields that differ
+     */
+    getDifferences(service, one, two) {
+        return googleMonitor.detectDifferences(one, two)
+            .filter(field => !idFields.includes(field) || service.storedIds.includes(field));
     }
 
     /**
+     * Creates a new task, not in any list, holding the same values as the given one.
      *
-     * @param task {Task}
-     * @param alteredFields {String[]}
+     * @param task {Task} The task to copy
+     * @return {Task} The new task
+     * @private
      */
-    onGoogleAltered(task, alteredFields) {
-        return trelloInterface.writeFields(task, alteredFields);
+    _copyTask(task) {
+        let copy = this.taskList.getDefaultTask();
+        for (let field of Object.values(fields)) {
+            copy.setIfData(field, task.getField(field));
+        }
+        return copy;
+    }
+
+    /**
+     * Record the current state of the task as synced, and save that to the disk
+     *
+     * @param task {Task} The task that was synced
+     * @return {Promise<void>} A promise that finishes when the state is saved
+     * @private
+     */
+    _recordSync(task) {
+        this.syncState.recordTask(task);
+        return this.syncState.save();
+    }
+
+    /**
+     * Record that the task was deleted from all services, and save that to the disk
+     *
+     * @param task {Task} The task that was deleted
+     * @return {Promise<void>} A promise that finishes when the state is saved
+     * @private
+     */
+    _recordDeletion(task) {
+        this.syncState.forgetTask(task);
+        this.echoes.forget(task);
+        return this.syncState.save();
+    }
+
+    /**
+     * Load every task from a service into the task list
+     *
+     * @param name {string} The name of the service to load from
+     * @param [readOnly] {boolean} If true, nothing is written back to the service while loading
+     * @return {Promise<TaskList>}
+     */
+    loadFrom(name, readOnly) {
+        return this._getService(name).api.loadAllTasks(this.taskList, readOnly);
+    }
+
+    /**
+     * Write every task in the task list to a service, and then propagate any new ID's to the other services
+     *
+     * @param name {string} The name of the service to write to
+     * @return {Promise<TaskList>}
+     */
+    async writeTo(name) {
+        let service = this._getService(name);
+        let tasks = this.taskList.getTasks();
+        let previousIds = tasks.map(task => task.getField(service.idField));
+
+        await service.api.writeAllTasks(this.taskList);
+        for (let i = 0; i < tasks.length; i++) {
+            this.echoes.recordWritten(service.name, tasks[i]);
+            let snapshot = this.syncState.getSnapshot(tasks[i]);
+            if (tasks[i].getField(service.idField) !== previousIds[i]) { // A new entry was made
+                this.journal.recordWrite(service.name, "created", null, tasks[i], this.journal.changesBetween(undefined, tasks[i].fields));
+                await this._propagateIds(tasks[i], [service], requestPriorities.BULK);
+            } else {
+                this.journal.recordWrite(service.name, "updated", null, tasks[i],
+                    this.journal.changesBetween(snapshot && snapshot.fields, tasks[i].fields));
+            }
+        }
+        await this._recordAllSynced();
+        return this.taskList;
+    }
+
+    /**
+     * Merge rows imported from a spreadsheet into the tasks on every service, and then write the result to every service.
+     *
+     * Each row is matched to an existing task by any of its ID's, or otherwise becomes a new task.
+     * Only the fields given in the row are overwritten.
+     *
+     * @param rows {CsvRow[]} The rows to import
+     * @return {Promise<TaskList>} A promise containing the task list once it has been written
+     */
+    async importRows(rows) {
+        for (let name of this.registry.getNames()) {
+            await this.loadFrom(name);
+        }
+        for (let row of rows) {
+            let imported = this.taskList.getDefaultTask();
+            for (let field of Object.keys(row.values)) {
+                imported.setField(field, row.values[field]);
+            }
+            let task = this.taskList.getTask(task => task.isSameTask(imported)) || this.taskList.createTask();
+            for (let field of Object.keys(row.values)) {
+                task.setField(field, row.values[field]);
+            }
+        }
+        for (let name of this.registry.getNames()) {
+            await this.writeTo(name);
+        }
+        return this.taskList;
+    }
+
+    /**
+     * Works out what would be put back by reverting the changes in the journal matching the query.
+     * Each field is put back to the value it had before the first change to it that matches.
+     *
+     * Only updates are reverted. Tasks that were created or deleted are left as they are, as are the ID's of each task.
+     *
+     * @param query {{task: (string|undefined), since: (Date|undefined), until: (Date|undefined)}} The changes to revert
+     * @param [readOnly] {boolean} If true, nothing is written to any service while loading
+     * @return {Promise<{reverts: TaskRevert[], missing: JournalEntry[]}>} What would be reverted on each task,
+     *      and the changes to tasks that no longer exist
+     */
+    async planRevert(query, readOnly) {
+        let entries = (await this.journal.query(query)).filter(entry => entry.action === "updated");
+        for (let name of this.registry.getNames()) {
+            await this.loadFrom(name, readOnly);
+        }
+
+        let earlier = new Map();
+        let missing = [];
+        for (let entry of entries) {
+            let task = this.taskList.getTask(task => idFields.some(idField =>
+                entry.ids[idField] && task.getField(idField) === entry.ids[idField]));
+            if (!task) {
+                missing.push(entry);
+                continue;
+            }
+            if (!earlier.has(task)) {
+                earlier.set(task, {});
+            }
+            let values = earlier.get(task);
+            for (let change of entry.changes) {
+                if (!idFields.includes(change.field) && !values.hasOwnProperty(change.field)) {
+                    values[change.field] = change.before;
+                }
+            }
+        }
+
+        let reverts = [];
+        for (let [task, values] of earlier) {
+            let changes = [];
+            for (let field of Object.keys(values)) {
+                changes.push(...this.journal.changesBetween(task.fields, values, [field]));
+            }
+            if (changes.length !== 0) {
+                reverts.push({task: task, changes: changes});
+            }
+        }
+        return {reverts: reverts, missing: missing};
+    }
+
+    /**
+     * Put the fields of each task back to their earlier values on every service
+     *
+     * @param reverts {TaskRevert[]} What to revert, from {@link TaskSyncer#planRevert}
+     * @return {Promise<void>} A promise that finishes when every task is reverted
+     */
+    async applyRevert(reverts) {
+        for (let {task, changes} of reverts) {
+            let revertedFields = changes.map(change => change.field);
+            for (let change of changes) {
+                task.setField(change.field, change.after);
+            }
+            for (let service of this.registry.getServices()) {
+                if (task.getField(service.idField)) {
+                    await service.api.writeFields(task, revertedFields);
+                    this.echoes.recordWritten(service.name, task, revertedFields);
+                    this.journal.recordWrite(service.name, "reverted", null, task, changes);
+                }
+            }
+            this.syncState.resolveConflicts(task, revertedFields);
+            await this._recordSync(task);
+            console.log(`Task '${task.getField(fields.NAME)}' reverted`);
+        }
+    }
+
+    /**
+     * Start monitoring every service for changes, pushing held deletions once they are ready and retrying dead letters once due.
+     * The task API is served alongside the Trello webhooks.
+     * This is only called once the first sync has finished, so from then on the syncer counts as synced in `/readyz`
+     */
+    monitorAll() {
+        trelloMonitor.addRouter(taskApi.createRouter(this));
+        for (let service of this.registry.getServices()) {
+            this.monitor(service.name);
+        }
+        health.markSynced();
+        setInterval(() => this.processDeletions()
+            .catch(reason => console.error(`Processing held deletions failed: ${reason}`)), deletionCheckRate * 1000);
+        setInterval(() => this.processDeadLetters()
+            .catch(reason => console.error(`Processing dead letters failed: ${reason}`)), deadLetterCheckRate * 1000);
+    }
+
+    /**
+     * Start monitoring a service for changes, pushing them to all the other services.
+     * Any change that fails to push is kept as a dead letter to be retried later.
+     *
+     * @param name {string} The name of the service to monitor
+     */
+    monitor(name) {
+        let service = this._getService(name);
+        service.monitor.setMonitorCallbacks(
+            task => this._propagate(service, propagations.CREATED, task, []),
+            task => this._propagate(service, propagations.DELETED, task, []),
+            (task, alteredFields) => this._propagate(service, propagations.ALTERED, task, alteredFields));
+        service.monitor.setupMonitoring(this.taskList);
+    }
+
+    /**
+     * Retry every dead letter that is due, or was retried with the `dead-letters` command, and drop any discarded with it.
+     * Each is retried with the task as it is now, if it is still in the task list.
+     *
+     * @return {Promise<void>} A promise that finishes when every ready dead letter has been dealt with
+     */
+    async processDeadLetters() {
+        await this.deadLetters.refresh();
+        let ready = this.deadLetters.takeReady(Date.now());
+        // Written before retrying, so that a letter being retried is still there if the syncer stops part way through
+        await this.deadLetters.save();
+        for (let letter of ready) {
+            if (letter.status === deadLetterStatuses.DISCARDED) {
+                console.log(`Dead letter for the ${letter.action} task '${letter.name}' from ${this._describeServices([letter.source])} discarded`);
+                continue;
+            }
+            let stored = this.deadLetters.toTask(letter);
+            let task = this.taskList.getTask(task => task.isSameTask(stored)) || stored;
+            try {
+                await this._pushChange(this._getService(letter.source), letter.action, task, letter.fields);
+                this.deadLetters.remove(letter);
+                console.log(`Retry of the ${letter.action} task '${letter.name}' from ${this._describeServices([letter.source])} succeeded`);
+            } catch (reason) {
+                this.deadLetters.retryFailed(letter, reason, Date.now());
+                console.error(`Retry ${letter.attempts - 1} of the ${letter.action} task '${letter.name}' failed: ${reason}`);
+            }
+            await this.deadLetters.save();
+        }
+    }
+
+    /**
+     * Push a change seen on a service to the others, keeping it as a dead letter if that fails
+     *
+     * @param source {Service} The service the change was seen on
+     * @param action {string} What happened to the task, from {@link propagations}
+     * @param task {Task} The task that was changed
+     * @param alteredFields {string[]} The fields that were altered, if any
+     * @return {Promise<void>} A promise that finishes when the change is pushed, or kept to retry. This never rejects,
+     *      as the monitors don't wait on it
+     * @private
+     */
+    async _propagate(source, action, task, alteredFields) {
+        try {
+            await this._pushChange(source, action, task, alteredFields);
+        } catch (reason) {
+            let letter = this.deadLetters.add(source.name, action, task, alteredFields, reason, Date.now());
+            console.error(`Pushing the ${action} task '${task.getField(fields.NAME)}' from ${source.displayName} failed, ` +
+                `and will be retried at ${letter.nextRetry}: ${reason}`);
+            // The letter is still held, so is written the next time the dead letters are saved
+            await this.deadLetters.save()
+                .catch(saveReason => console.error(`Saving the dead letters failed: ${saveReason}`));
+        }
+    }
+
+    /**
+     * @param source {Service} The service the change was seen on
+     * @param action {string} What happened to the task, from {@link propagations}
+     * @param task {Task} The task that was changed
+     * @param alteredFields {string[]} The fields that were altered, if any
+     * @return {Promise<void>} A promise that finishes when the change is pushed
+     * @private
+     */
+    _pushChange(source, action, task, alteredFields) {
+        switch (action) {
+            case propagations.CREATED:
+                return this.onCreated(source, task);
+            case propagations.DELETED:
+                return this.onDeleted(source, task);
+            case propagations.ALTERED:
+                return this.onAltered(source, task, alteredFields);
+            default:
+                throw new Error(`Unknown change '${action}'`);
+        }
+    }
+
+    /**
+     * Push a task created on one service to all the others
+     *
+     * @param source {Service} The service the task was created on
+     * @param task {Task} The task that was created
+     * @return {Promise<void>} A promise that finishes when the task is created everywhere
+     */
+    async onCreated(source, task) {
+        let tombstone = this.deletions.find(task);
+        if (tombstone && tombstone.deletedFrom.includes(source.name)) {
+            // It came back before the deletion was pushed, so carry on with the task that was held
+            let held = this.taskList.getTask(other => other !== task && other.isSameTask(this.deletions.toTask(tombstone)));
+            if (held) {
+                held.setField(source.idField, task.getField(source.idField));
+                this.taskList.deleteThisTask(task);
+            }
+            return this._cancelDeletion(tombstone, source);
+        }
+
+        let created = [];
+        for (let service of this.registry.getOthers(source)) {
+            let previousId = task.getField(service.idField);
+            await service.api.writeTask(task, requestPriorities.INTERACTIVE);
+            this.echoes.recordWritten(service.name, task);
+            if (task.getField(service.idField) !== previousId) {
+                created.push(service);
+                this.journal.recordWrite(service.name, "created", source.name, task, this.journal.changesBetween(undefined, task.fields));
+            } else {
+                this.journal.recordWrite(service.name, "updated", source.name, task);
+            }
+        }
+        await this._propagateIds(task, created, requestPriorities.INTERACTIVE);
+        await this._recordSync(task);
+    }
+
+    /**
+     * Hold back the deletion of a task on one service, to be pushed to all the others once it is ready
+     *
+     * @param source {Service} The service the task was deleted from
+     * @param task {Task} The task that was deleted
+     * @return {Promise<void>} A promise that finishes when the deletion is held
+     */
+    async onDeleted(source, task) {
+        await this._holdDeletion(task, [source]);
+        await this.deletions.save();
+    }
+
+    /**
+     * Push the fields altered on one service to all the others
+     *
+     * @param source {Service} The service the task was altered on
+     * @param task {Task} The task that was altered
+     * @param alteredFields {string[]} The fields that were altered
+     * @return {Promise<void>} A promise that finishes when the fields are written everywhere
+     */
+    async onAltered(source, task, alteredFields) {
+        let tombstone = this.deletions.find(task);
+        if (tombstone && tombstone.deletedFrom.includes(source.name)) {
+            await this._cancelDeletion(tombstone, source);
+        }
+
+        let snapshot = this.syncState.getSnapshot(task);
+        let changes = this.journal.changesBetween(snapshot && snapshot.fields, task.fields, alteredFields);
+        for (let service of this.registry.getOthers(source)) {
+            if (this.deletions.isHeld(task, service.name)) {
+                continue;
+            }
+            await service.api.writeFields(task, alteredFields, requestPriorities.INTERACTIVE);
+            this.echoes.recordWritten(service.name, task, alteredFields);
+            this.journal.recordWrite(service.name, "updated", source.name, task, changes);
+        }
+        this.syncState.resolveConflicts(task, alteredFields);
+        await this._recordSync(task);
+    }
+
+    /**
+     * Make a new task, such as one posted to the REST API, and write it to every service
+     *
+     * @param values {Object.<string, *>} The value of each field to set, which must already be valid
+     * @param source {string} What the task came from, recorded in the journal
+     * @return {Promise<Task>} The task, holding its ID on every service
+     */
+    async createTask(values, source) {
+        let task = this.taskList.createTask();
+        for (let field of Object.keys(values)) {
+            task.setField(field, values[field]);
+        }
+
+        let created = [];
+        try {
+            for (let service of this.registry.getServices()) {
+                await service.api.writeTask(task, requestPriorities.INTERACTIVE);
+                this.echoes.recordWritten(service.name, task);
+                this.journal.recordWrite(service.name, "created", source, task, this.journal.changesBetween(undefined, task.fields));
+                created.push(service);
+            }
+        } catch (reason) {
+            if (created.length === 0) { // It isn't anywhere, so don't keep it around
+                this.taskList.deleteThisTask(task);
+            }
+            throw reason;
+        }
+        await this._propagateIds(task, created, requestPriorities.INTERACTIVE);
+        await this._recordSync(task);
+        console.log(`Task '${task.getField(fields.NAME)}' created on every service from ${source}`);
+        return task;
+    }
+
+    /**
+     * Change some fields of a task, such as through the REST API, and write them to every service
+     *
+     * @param task {Task} The task to change
+     * @param values {Object.<string, *>} The new value of each field to change, which must already be valid
+     * @param source {string} What the change came from, recorded in the journal
+     * @return {Promise<string[]>} The fields that were changed. Any given the value they already had are left out
+     */
+    async updateTask(task, values, source) {
+        let alteredFields = Object.keys(values)
+            .filter(field => JSON.stringify(task.getField(field)) !== JSON.stringify(values[field]));
+        if (alteredFields.length === 0) {
+            return alteredFields;
+        }
+        let changes = this.journal.changesBetween(task.fields, values, alteredFields);
+        for (let field of alteredFields) {
+            task.setField(field, values[field]);
+        }
+
+        for (let service of this.registry.getServices()) {
+            if (!task.getField(service.idField) || this.deletions.isHeld(task, service.name)) {
+                continue;
+            }
+            await service.api.writeFields(task, alteredFields, requestPriorities.INTERACTIVE);
+            this.echoes.recordWritten(service.name, task, alteredFields);
+            this.journal.recordWrite(service.name, "updated", source, task, changes);
+        }
+        this.syncState.resolveConflicts(task, alteredFields);
+        await this._recordSync(task);
+        console.log(`Task '${task.getField(fields.NAME)}' updated on every service from ${source}`);
+        return alteredFields;
+    }
+
+    /**
+     * Delete a task from every service straight away, such as through the REST API.
+     * As this was asked for directly, it isn't held back like a deletion seen on a service.
+     *
+     * @param task {Task} The task to delete
+     * @param source {string} What the deletion came from, recorded in the journal
+     * @return {Promise<void>} A promise that finishes when the task is deleted everywhere
+     */
+    async deleteTask(task, source) {
+        let tombstone = this.deletions.find(task);
+        if (tombstone) { // Already deleted from some services, and now from the rest
+            this.deletions.remove(tombstone);
+            await this.deletions.save();
+        }
+        for (let service of this.registry.getServices()) {
+            if (task.getField(service.idField)) {
+                await service.api.deleteTask(task, requestPriorities.INTERACTIVE);
+                this.journal.recordWrite(service.name, "deleted", source, task);
+            }
+        }
+        this.taskList.deleteThisTask(task);
+        await this._recordDeletion(tombstone ? this.deletions.toTask(tombstone) : task);
+        console.log(`Task '${task.getField(fields.NAME)}' deleted from every service from ${source}`);
+    }
+
+    /**
+     * Push every held deletion that is ready, after picking up any confirmed or discarded with the `deletions` command.
+     * Confirmed deletions, and those past their grace period, are pushed to every service that still has the task.
+     * Discarded deletions are undone, by making the task again on the services it was deleted from.
+     *
+     * @return {Promise<void>} A promise that finishes when every ready deletion has been dealt with
+     */
+    async processDeletions() {
+        await this.deletions.refresh();
+        for (let tombstone of this.deletions.takeReady(Date.now())) {
+            if (tombstone.status === deletionStatuses.DISCARDED) {
+                await this._restoreTask(tombstone);
+            } else {
+                await this._pushDeletion(tombstone);
+            }
+        }
+        await this.deletions.save();
+    }
+
+    /**
+     * Hold back the deletion of a task from the other services.
+     * The task is kept in the task list without the ID's of the services it was deleted from,
+     * so that changes on the other services are still followed in the meantime.
+     *
+     * @param task {Task} The task that was deleted, still holding the ID's from the services it was deleted from
+     * @param deletedFrom {Service[]} The services it was deleted from
+     * @return {Promise<void>} A promise that finishes once anything deleted from every service is forgotten
+     * @private
+     */
+    async _holdDeletion(task, deletedFrom) {
+        let tombstone = this.deletions.hold(task, deletedFrom.map(service => service.name));
+        for (let service of deletedFrom) {
+            task.setField(service.idField, null);
+        }
+
+        if (!this.registry.getServices().some(service => task.getField(service.idField))) {
+            // Deleted from everywhere, so there is nothing left to push
+            this.deletions.remove(tombstone);
+            this.taskList.deleteThisTask(task);
+            console.log(`Task '${tombstone.name}' was deleted from every service`);
+            return this._recordDeletion(this.deletions.toTask(tombstone));
+        }
+        if (!this.taskList.getTasks().includes(task)) {
+            this.taskList.addTask(task);
+        }
+        console.log(`Deletion of '${tombstone.name}' from ${this._describeServices(tombstone.deletedFrom)} held until ${tombstone.due}`);
+    }
+
+    /**
+     * Stop holding a deletion, as the task has come back on a service it was deleted from
+     *
+     * @param tombstone {Tombstone}
+     * @param source {Service} The service the task came back on
+     * @return {Promise<void>} A promise that finishes when the queue is saved
+     * @private
+     */
+    _cancelDeletion(tombstone, source) {
+        tombstone.deletedFrom = tombstone.deletedFrom.filter(name => name !== source.name);
+        if (tombstone.deletedFrom.length === 0) {
+            this.deletions.remove(tombstone);
+        }
+        console.log(`Task '${tombstone.name}' came back on ${source.displayName}, so its deletion there won't be pushed`);
+        return this.deletions.save();
+    }
+
+    /**
+     * Delete a held task from every service that still has it
+     *
+     * @param tombstone {Tombstone}
+     * @return {Promise<void>} A promise that finishes when the task is deleted everywhere
+     * @private
+     */
+    async _pushDeletion(tombstone) {
+        let deleted = this.deletions.toTask(tombstone);
+        let task = this.taskList.getTask(other => other.isSameTask(deleted));
+        if (!task) { // Not loaded, such as when running a single command, so go by the ID's it had
+            task = deleted;
+            for (let name of tombstone.deletedFrom) {
+                task.setField(this._getService(name).idField, null);
+            }
+        }
+
+        for (let service of this.registry.getServices()) {
+            if (!tombstone.deletedFrom.includes(service.name) && task.getField(service.idField)) {
+                await service.api.deleteTask(task);
+                this.journal.recordWrite(service.name, "deleted", tombstone.deletedFrom[0], task);
+                console.log(`Deletion of '${tombstone.name}' duplicated to ${service.displayName}`);
+            }
+        }
+        this.taskList.deleteThisTask(task);
+        this.echoes.forget(task);
+        await this._recordDeletion(deleted);
+    }
+
+    /**
+     * Make a held task again on the services it was deleted from
+     *
+     * @param tombstone {Tombstone}
+     * @return {Promise<void>} A promise that finishes when the task is on every service again
+     * @private
+     */
+    async _restoreTask(tombstone) {
+        let deleted = this.deletions.toTask(tombstone);
+        let task = this.taskList.getTask(other => other.isSameTask(deleted));
+        if (!task) {
+            task = this.taskList.addTask(deleted);
+        }
+        this.syncState.forgetTask(deleted); // The ID's from before are gone, so it is synced again from scratch
+
+        let restored = [];
+        for (let name of tombstone.deletedFrom) {
+            let service = this._getService(name);
+            task.setField(service.idField, null);
+            await service.api.writeTask(task);
+            this.echoes.recordWritten(service.name, task);
+            this.journal.recordWrite(service.name, "restored", null, task, this.journal.changesBetween(undefined, task.fields));
+            restored.push(service);
+        }
+        await this._propagateIds(task, restored);
+        await this._recordSync(task);
+        console.log(`Task '${tombstone.name}' restored to ${this._describeServices(tombstone.deletedFrom)}`);
+    }
+
+    /**
+     * @param names {string[]} The names of some services
+     * @return {string} The display names of the services, separated by commas
+     * @private
+     */
+    _describeServices(names) {
+        return names.map(name => this._getService(name).displayName).join(", ");
+    }
+
+    /**
+     * Record every task in the list as synced, and save that to the disk
+     * @return {Promise<void>} A promise that finishes when the state is saved
+     * @private
+     */
+    _recordAllSynced() {
+        for (let task of this.taskList.getTasks()) {
+            this.syncState.recordTask(task);
+        }
+        return this.syncState.save();
     }
 
     /**
      * Where a new entry in a service was made, propagate that ID to the other services
      * This ensures that the data in the services is still linked
+     *
+     * @param task {Task} The task that new entries were made for
+     * @param created {Service[]} The services that new entries were made on
+     * @param [priority] {number} How urgent the requests are, from {@link requestPriorities}
      * @return {Promise<void>} A promise that finishes when all ID's have been propagated
      * @private
      */
-    async _propagateIds() {
-        for (let task of this.taskList.getTasks()) {
-            if (task.trelloCardMade) { // If we made a trello then google needs to link to it
-                await googleInterface.updateOtherId(task);
-            }
-            if (task.googleTaskMade) { // If we made a google then trello needs to link to it
-                await trelloInterface.updateOtherId(task);
+    async _propagateIds(task, created, priority) {
+        for (let service of this.registry.getServices()) {
+            let newIds = created
+                .filter(other => other !== service && service.storedIds.includes(other.idField))
+                .map(other => other.idField);
+            if (newIds.length !== 0 && task.getField(service.idField)) {
+                await service.api.updateOtherId(task, priority);
+                this.echoes.recordWritten(service.name, task, newIds);
+                this.journal.recordWrite(service.name, "linked", null, task, this.journal.changesBetween(undefined, task.fields, newIds));
             }
         }
     }
+
+    /**
+     * Gets a registered service, throwing if there is none with that name
+     *
+     * @param name {string} The name of the service
+     * @return {Service} The service
+     * @private
+     */
+    _getService(name) {
+        let service = this.registry.getService(name);
+        if (!service) {
+            throw new Error(`Unknown service '${name}'. Expected one of ${this.registry.getNames().join(", ")}`);
+        }
+        return service;
+    }
 }
 
 
-module.exports = new TaskSyncer();
\ No newline at end of file
+module.exports = new TaskSyncer();
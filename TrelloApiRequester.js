@@ -1,5 +1,5 @@
-const tokens = require('./tokens.json');
-const {categoryLists, callbackUrl} = require("./config.json");
+const tokens = require("./Config.js").tokens;
+const {categoryLists, callbackUrl} = require("./Config.js").config;
 const BaseApiRequester = require("./BaseApiRequester.js");
 
 /**
@@ -11,10 +11,17 @@ const BaseApiRequester = require("./BaseApiRequester.js");
  *      dateLastActivity: string
  *      desc: string
  *      idList: string
+ *      labels: [RawTrelloLabel]
  *      name: string
  * }} RawTrello
  *
  * @typedef {{
+ *      id: string
+ *      name: string
+ *      color: (string|null)
+ * }} RawTrelloLabel
+ *
+ * @typedef {{
  *      [idCustomField]: string
  *      value: ({text: string}|undefined|{checked: string}|{number: string})
  * }} RawCustomField
@@ -22,10 +29,9 @@ const BaseApiRequester = require("./BaseApiRequester.js");
  */
 class TrelloApiRequester extends BaseApiRequester {
     constructor(key, token) {
-        super(80);
+        super(100, 10, 10); // Trello allows 100 requests every 10 seconds for each token
         this.key = key;
         this.token = token;
-        this.start();
     }
 
     getName() {
@@ -57,27 +63,103 @@ class TrelloApiRequester extends BaseApiRequester {
         return this.queueRequest(this.buildTrelloGet(`lists/${id}/cards`, {customFieldItems: true}));
     }
 
-    createCard(rawMain) {
-        return this.queueRequest(this.buildTrelloPost(`cards`, rawMain));
+    createCard(rawMain, priority) {
+        return this.queueRequest(this.buildTrelloPost(`cards`, rawMain), priority);
     }
 
-    deleteCard(id) {
+    deleteCard(id, priority) {
         //TODO: should this archive not delete?
-        return this.queueRequest(this.buildTrelloDelete(`cards/${id}`));
+        return this.queueRequest(this.buildTrelloDelete(`cards/${id}`), priority);
+    }
+
+    /**
+     * Get all the lists on a board
+     * @param id The id of the board
+     * @return {Promise<[IdNameTuple]>}
+     */
+    getBoardLists(id) {
+        return this.queueRequest(this.buildTrelloGet(`boards/${id}/lists`));
+    }
+
+    /**
+     * Get all the custom fields on a board
+     * @param id The id of the board
+     * @return {Promise<[IdNameTuple]>}
+     */
+    getBoardCustomFields(id) {
+        return this.queueRequest(this.buildTrelloGet(`boards/${id}/customFields`));
     }
 
-    getCard(id) {
-        return this.queueRequest((this.buildTrelloGet(`cards/${id}`, {customFieldItems: true})))
+    /**
+     * Get all the labels on a board
+     * @param id The id of the board
+     * @param [priority] {number} How urgent the request is, from {@link requestPriorities}
+     * @return {Promise<[RawTrelloLabel]>}
+     */
+    getBoardLabels(id, priority) {
+        return this.queueRequest(this.buildTrelloGet(`boards/${id}/labels`, {limit: 1000}), priority);
+    }
+
+    /**
+     * Creates a new label on a board
+     *
+     * @param id The id of the board
+     * @param name {string} The name of the label
+     * @param color {string|null} The colour of the label, or null for none
+     * @param [priority] {number} How urgent the request is, from {@link requestPriorities}
+     * @return {Promise<RawTrelloLabel>}
+     */
+    createLabel(id, name, color, priority) {
+        let label = {name: name};
+        if (color) {
+            label.color = color;
+        }
+        return this.queueRequest(this.buildTrelloPost(`boards/${id}/labels`, label), priority);
+    }
+
+    /**
+     * Adds a label to a card
+     *
+     * @param card The id of the card
+     * @param label The id of the label, which must be on the same board
+     * @param [priority] {number} How urgent the request is, from {@link requestPriorities}
+     * @return {Promise}
+     */
+    addCardLabel(card, label, priority) {
+        return this.queueRequest(this.buildTrelloPost(`cards/${card}/idLabels`, {value: label}), priority);
+    }
+
+    /**
+     * Removes a label from a card
+     *
+     * @param card The id of the card
+     * @param label The id of the label
+     * @param [priority] {number} How urgent the request is, from {@link requestPriorities}
+     * @return {Promise}
+     */
+    removeCardLabel(card, label, priority) {
+        return this.queueRequest(this.buildTrelloDelete(`cards/${card}/idLabels/${label}`), priority);
+    }
+
+    /**
+     * Get a single card. This includes custom fields
+     * @param id The id of the card
+     * @param [priority] {number} How urgent the request is, from {@link requestPriorities}
+     * @return {Promise<RawTrello>}
+     */
+    getCard(id, priority) {
+        return this.queueRequest((this.buildTrelloGet(`cards/${id}`, {customFieldItems: true})), priority)
     }
 
     /**
      * Writes data to the main trello card
      * @param id The id of the card to write to
      * @param data A key-value object of the data to write
+     * @param [priority] {number} How urgent the request is, from {@link requestPriorities}
      * @return {Promise<RawTrello>}
      */
-    updateCardMain(id, data) {
-        return this.queueRequest(this.buildTrelloPut(`cards/${id}`, data));
+    updateCardMain(id, data, priority) {
+        return this.queueRequest(this.buildTrelloPut(`cards/${id}`, data), priority);
     }
 
     /**
@@ -86,10 +168,11 @@ class TrelloApiRequester extends BaseApiRequester {
      * @param card The id of the card to set the field on
      * @param field The id of the field to set
      * @param data The value to set to the field to
+     * @param [priority] {number} How urgent the request is, from {@link requestPriorities}
      * @return {Promise} A promise that is fulfilled when the PUT is finished.+
      */
-    updateCustomField(card, field, data) {
-        return this.queueRequest(this.buildTrelloPut(`/card/${card}/customField/${field}/item`, data));
+    updateCustomField(card, field, data, priority) {
+        return this.queueRequest(this.buildTrelloPut(`/card/${card}/customField/${field}/item`, data), priority);
 
     }
 
@@ -1,17 +1,65 @@
 const requester = require("./TrelloApiRequester.js");
 const {fields, categories} = require("./Globals");
-const {categoryLists, customFields} = require("./config.json");
+const {categoryLists, customFields, boardId, trelloLabels} = require("./Config.js").config;
 const ApiInterface = require("./ApiInterface.js");
+const journal = require("./AuditJournal.js");
+const Task = require("./Task.js");
+
+/**
+ * The settings used for anything not given in the `trelloLabels` section of the config.
+ * The category labels and colours are keyed by category
+ * @type {{categoryLabels: Object.<string, string>, categoryColors: Object.<string, string>, tagPrefix: string, tagColor: (string|null)}}
+ */
+const defaultLabelSettings = {
+    categoryLabels: {
+        "1": "Coding",
+        "2": "Design",
+        "3": "Docs & Training",
+        "4": "Quality Assurance",
+        "5": "Outreach & Research"
+    },
+    categoryColors: {
+        "1": "green",
+        "2": "purple",
+        "3": "blue",
+        "4": "orange",
+        "5": "red"
+    },
+    tagPrefix: "tag:",
+    tagColor: null
+};
 
 /**
  * An interface between the Trello Board and the GCI Site
  *
+ * By default the categories are stored as checkbox custom fields and the tags as a comma separated text custom field.
+ * If `trelloLabels` is configured they are stored as labels instead, with a label for each category
+ * and one named with the tag prefix for each tag. Labels are created on the board as they are needed,
+ * and any other labels on a card are left alone.
+ *
  * @see ApiInterface
  */
 class TrelloInterface extends ApiInterface {
+    constructor() {
+        super();
+        /**
+         * How the categories and tags are stored as labels, or undefined if they are stored in custom fields
+         * @type {{categoryLabels: Object.<string, string>, categoryColors: Object.<string, string>, tagPrefix: string, tagColor: (string|null)}|undefined}
+         */
+        this.labelSettings = trelloLabels ? Object.assign({}, defaultLabelSettings, trelloLabels, {
+            categoryLabels: Object.assign({}, defaultLabelSettings.categoryLabels, trelloLabels.categoryLabels),
+            categoryColors: Object.assign({}, defaultLabelSettings.categoryColors, trelloLabels.categoryColors)
+        }) : undefined;
+        /**
+         * The labels on the board keyed by name, each held as a promise so that one being created isn't created twice.
+         * This is undefined until a label is first needed
+         * @type {Promise<Map<string, Promise<RawTrelloLabel>>>|undefined}
+         */
+        this.boardLabels = undefined;
+    }
 
     /**
-     * Update the category custom fields on the card.
+     * Update the category custom fields, or labels, on the card.
      * This is intended to be used with the {@link Task#listCategoryAdded} field in order to detect if the card
      * is in a list it didn't have a category for.
      *
@@ -20,8 +68,13 @@ class TrelloInterface extends ApiInterface {
      */
     propagateCategoryChange(task) {
         // Replicate this category change
-        return this._updateAllFields(task.getField(fields.TRELLO_ID), this.serialiseCategories(task))
+        let update = this.labelSettings
+            ? this._updateLabels(task)
+            : this._updateAllFields(task.getField(fields.TRELLO_ID), this.serialiseCategories(task));
+        return update
             .then(() => {
+                journal.recordWrite("trello", "updated", "trello", task,
+                    journal.changesBetween(undefined, task.fields, [fields.CATEGORIES]));
                 console.log(`Card '${task.getField(fields.NAME)}' (${task.getField(fields.TRELLO_ID)}) category change propagated`)
             });
     }
@@ -29,24 +82,30 @@ class TrelloInterface extends ApiInterface {
     /**
      * @inheritDoc
      */
-    updateOtherId(task) {
+    updateOtherId(task, priority) {
         return requester.updateCustomField(
             task.getField(fields.TRELLO_ID),
             customFields.googleId,
-            this.getCustomFieldFromTask(fields.GOOGLE_ID, task));
+            this.getCustomFieldFromTask(fields.GOOGLE_ID, task),
+            priority);
     }
 
     /**
      * @inheritDoc
+     *
+     * Cards that are in a list without having the category for it will have that category added on Trello,
+     * unless readOnly is set.
+     *
+     * @param [readOnly] {boolean} If true nothing is written back to Trello
      */
-    loadAllTasks(taskList) {
+    loadAllTasks(taskList, readOnly) {
         return requester.getAllCards().then(rawCards => {
             let tasksToUpdate = [];
             for (let rawCard of rawCards) {
                 let task = taskList.getOrMakeTask(task => this.doesTaskMatchData(task, rawCard));
                 task.listCategoryAdded = false;
                 this.loadIntoTask(rawCard, task);
-                if (task.listCategoryAdded) {
+                if (task.listCategoryAdded && !readOnly) {
                     tasksToUpdate.push(task);
                 }
                 console.log(`Loaded card '${task.getField(fields.NAME)}' from Trello`);
@@ -59,61 +118,104 @@ class TrelloInterface extends ApiInterface {
     }
 
     /**
-     * Write only specific fields to the service
-     * @param task {Task}
-     * @param alteredFields {string[]}
-     * @return {Promise<>} Promise that fulfils when the fields are written
+     * @inheritDoc
+     *
+     * Archived cards, and those in a list without a category, count as missing.
+     * As when loading every card, a card in a list it doesn't have the category for has that category added on Trello.
+     */
+    loadTask(task, priority) {
+        if (!task.getField(fields.TRELLO_ID)) {
+            return Promise.resolve(undefined);
+        }
+        return requester.getCard(task.getField(fields.TRELLO_ID), priority)
+            .then(rawCard => {
+                if (rawCard.closed || !Object.values(categoryLists).includes(rawCard.idList)) {
+                    return undefined;
+                }
+                let loaded = new Task();
+                this.loadIntoTask(rawCard, loaded);
+                console.log(`Loaded card '${loaded.getField(fields.NAME)}' from Trello`);
+                if (loaded.listCategoryAdded) {
+                    return this.propagateCategoryChange(loaded).then(() => loaded);
+                }
+                return loaded;
+            })
+            .catch(reason => {
+                if (reason.statusCode === 404 || reason.statusCode === 400) { // Deleted, or not a card ID at all
+                    return undefined;
+                }
+                throw reason;
+            });
+    }
+
+    /**
+     * @inheritDoc
      */
-    async writeFields(task, alteredFields) {
+    async writeFields(task, alteredFields, priority) {
         let rawCustom = {};
+        let labelsAltered = false;
         const mainFields = new Set([fields.NAME, fields.DESCRIPTION]);
         for (let alteredField of alteredFields) {
             if (mainFields.has(alteredField)) {
-                await this.writeOrCreate(task);
+                await this.writeOrCreate(task, priority);
             } else {
                 switch (alteredField) {
                     case fields.CATEGORIES:
-                        rawCustom = Object.assign(rawCustom, this.serialiseCategories(task));
+                        if (this.labelSettings) {
+                            labelsAltered = true;
+                        } else {
+                            rawCustom = Object.assign(rawCustom, this.serialiseCategories(task));
+                        }
                         break;
                     case fields.TAGS:
-                        rawCustom[customFields.tags] = this.serialiseTags(task);
+                        if (this.labelSettings) {
+                            labelsAltered = true;
+                        } else {
+                            rawCustom[customFields.tags] = this.serialiseTags(task);
+                        }
                         break;
                     case fields.GOOGLE_ID:
                         rawCustom[customFields.googleId] = this.getCustomFieldFromTask(fields.GOOGLE_ID, task);
                         break;
                     case fields.DAYS:
-                        rawCustom[customFields.days] = this.getCustomFieldFromTask(fields.GOOGLE_ID, task);
+                        rawCustom[customFields.days] = this.getCustomFieldFromTask(fields.DAYS, task);
                         break;
                     case fields.IS_BEGINNER:
-                        rawCustom[customFields.isBeginner] = this.getCustomFieldFromTask(fields.GOOGLE_ID, task);
+                        rawCustom[customFields.isBeginner] = this.getCustomFieldFromTask(fields.IS_BEGINNER, task);
                         break;
                     case fields.MAX_INSTANCES:
-                        rawCustom[customFields.instances] = this.getCustomFieldFromTask(fields.GOOGLE_ID, task);
+                        rawCustom[customFields.instances] = this.getCustomFieldFromTask(fields.MAX_INSTANCES, task);
                         break;
                     default:
                         console.log(`Attempted to write field to trello that can't be: '${alteredField}'`)
                 }
             }
         }
-        await this._updateAllFields(task.getField(fields.TRELLO_ID), rawCustom)
+        await this._updateAllFields(task.getField(fields.TRELLO_ID), rawCustom, priority);
+        if (labelsAltered) {
+            await this._updateLabels(task, priority);
+        }
     }
 
     /**
      * @inheritDoc
      */
-    writeTask(task) {
+    writeTask(task, priority) {
         task.resetUpdatedFields();
         let rawCustomFields = this.customToRaw(task);
-        return this.writeOrCreate(task)
+        return this.writeOrCreate(task, priority)
             .then(() =>
-                this._updateAllFields(task.getField(fields.TRELLO_ID), rawCustomFields))
+                this._updateAllFields(task.getField(fields.TRELLO_ID), rawCustomFields, priority))
+            .then(() => {
+                if (this.labelSettings) {
+                    return this._updateLabels(task, priority);
+                }
+            })
             .then(() => {
                 if (task.wasFieldUpdated(fields.TRELLO_ID)) {// We made a new task
                     console.log(`Card '${task.getField(fields.NAME)}' created on Trello`);
-                    task.trelloCardMade = true;
                 } else {
                     console.log(`Card '${task.getField(fields.NAME)}' updated on Trello`);
-                    task.trelloCardMade = false;
                 }
                 return task;
             });
@@ -123,42 +225,104 @@ class TrelloInterface extends ApiInterface {
     /**
      * @inheritDoc
      */
-    deleteTask(task) {
-        return requester.deleteCard(task.getField(fields.TRELLO_ID));
+    deleteTask(task, priority) {
+        return requester.deleteCard(task.getField(fields.TRELLO_ID), priority);
     }
 
     /**
      * Update all the custom fields on a card, waiting for each request to finish before proceeding with the next one
      * @param cardId {string} The id of the card to update
      * @param rawCustomFields {Object.<string, RawCustomField>}
+     * @param [priority] {number} How urgent the requests are, from {@link requestPriorities}
      * @return {Promise<void>} A promise that waits for all fields to be updated
      * @private
      */
-    async _updateAllFields(cardId, rawCustomFields) {
+    async _updateAllFields(cardId, rawCustomFields, priority) {
         for (let customFieldId in rawCustomFields) {
             if (rawCustomFields.hasOwnProperty(customFieldId)) {
-                await requester.updateCustomField(cardId, customFieldId, rawCustomFields[customFieldId]);
+                await requester.updateCustomField(cardId, customFieldId, rawCustomFields[customFieldId], priority);
+            }
+        }
+    }
+
+    /**
+     * Make the category and tag labels on a card match the task, leaving any other labels alone
+     *
+     * @param task {Task} The task to write the labels of
+     * @param [priority] {number} How urgent the requests are, from {@link requestPriorities}
+     * @return {Promise<void>} A promise that finishes when the card has the labels
+     * @private
+     */
+    async _updateLabels(task, priority) {
+        let cardId = task.getField(fields.TRELLO_ID);
+        let wanted = this.serialiseLabels(task);
+        let current = (await requester.getCard(cardId, priority)).labels || [];
+
+        for (let label of current) {
+            if (this.isManagedLabel(label.name) && !wanted.some(other => other.name === label.name)) {
+                await requester.removeCardLabel(cardId, label.id, priority);
             }
         }
+        for (let label of wanted) {
+            if (!current.some(other => other.name === label.name)) {
+                let boardLabel = await this._getBoardLabel(label.name, label.color, priority);
+                await requester.addCardLabel(cardId, boardLabel.id, priority)
+                    .catch(reason => {
+                        this.boardLabels = undefined; // The label may have been deleted from the board, so read them again next time
+                        throw reason;
+                    });
+            }
+        }
+    }
+
+    /**
+     * Find a label on the board by name, creating it if there isn't one
+     *
+     * @param name {string} The name of the label
+     * @param color {string|null} The colour to create the label with, if it is created
+     * @param [priority] {number} How urgent the requests are, from {@link requestPriorities}
+     * @return {Promise<RawTrelloLabel>} The label on the board
+     * @private
+     */
+    _getBoardLabel(name, color, priority) {
+        if (!this.boardLabels) {
+            this.boardLabels = requester.getBoardLabels(boardId, priority)
+                .then(labels => new Map(labels
+                    .filter(label => label.name)
+                    .map(label => [label.name, Promise.resolve(label)])));
+            this.boardLabels.catch(() => {
+                this.boardLabels = undefined; // Read them again next time
+            });
+        }
+        return this.boardLabels.then(labels => {
+            if (!labels.has(name)) {
+                let created = requester.createLabel(boardId, name, color, priority)
+                    .tap(() => console.log(`Label '${name}' created on Trello`));
+                created.catch(() => labels.delete(name));
+                labels.set(name, created);
+            }
+            return labels.get(name);
+        });
     }
 
     /**
      * Creates a new trello card.
      *
      * @param task {Task} The task to create the card for
+     * @param [priority] {number} How urgent the request is, from {@link requestPriorities}
      * @return {Promise<RawTrello>} The raw data for the created task
      */
-    createCard(task) {
+    createCard(task, priority) {
         let cardCategories = task.getField(fields.CATEGORIES);
         let listId = categoryLists["1"]; //TODO replace this is a specific "no category list"
         if (cardCategories.length !== 0) {
-            listId = categoryLists[cardCategories.pop().toString()];
+            listId = categoryLists[cardCategories[cardCategories.length - 1].toString()];
         }
 
         let rawMain = this.mainToRaw(task);
         delete rawMain["id"];
         rawMain["idList"] = listId;
-        return requester.createCard(rawMain)
+        return requester.createCard(rawMain, priority)
             .tap(response => task.setField(fields.TRELLO_ID, response["id"]));
     }
 
@@ -169,21 +333,23 @@ class TrelloInterface extends ApiInterface {
      * This does not write any custom field data to the entry
      *
      * @param task {Task} The task to update/create
+     * @param [priority] {number} How urgent the requests are, from {@link requestPriorities}
      * @return {Promise<RawTrello>} The raw card data
      */
-    writeOrCreate(task) {
+    writeOrCreate(task, priority) {
         if (task.getField(fields.TRELLO_ID)) {
-            return requester.updateCardMain(task.getField(fields.TRELLO_ID), this.mainToRaw(task))
+            return requester.updateCardMain(task.getField(fields.TRELLO_ID), this.mainToRaw(task), priority)
                 .catch(
                     reason => {
                         if (reason.statusCode === 404) {
                             console.log(`Updating card '${task.getField(fields.NAME)}' failed. Creating new card`);
 
-                            return this.createCard(task);
+                            return this.createCard(task, priority);
                         }
+                        throw reason;
                     })
         } else {
-            return this.createCard(task);
+            return this.createCard(task, priority);
         }
     }
 
@@ -225,20 +391,29 @@ class TrelloInterface extends ApiInterface {
     parseCategories(task, rawCard) {
         let taskCategories = new Set();
 
-        if (this.getCustomFieldFromData(customFields.isDesign, rawCard)) {
-            taskCategories.add(categories.DESIGN)
-        }
-        if (this.getCustomFieldFromData(customFields.isCode, rawCard)) {
-            taskCategories.add(categories.CODING)
-        }
-        if (this.getCustomFieldFromData(customFields.isDocs, rawCard)) {
-            taskCategories.add(categories.DOCS_TRAINING)
-        }
-        if (this.getCustomFieldFromData(customFields.isOutResearch, rawCard)) {
-            taskCategories.add(categories.OUTRESEARCH)
-        }
-        if (this.getCustomFieldFromData(customFields.isQa, rawCard)) {
-            taskCategories.add(categories.QA)
+        if (this.labelSettings) {
+            for (let label of rawCard.labels || []) {
+                let category = this.labelToCategory(label.name);
+                if (category !== undefined) {
+                    taskCategories.add(category);
+                }
+            }
+        } else {
+            if (this.getCustomFieldFromData(customFields.isDesign, rawCard)) {
+                taskCategories.add(categories.DESIGN)
+            }
+            if (this.getCustomFieldFromData(customFields.isCode, rawCard)) {
+                taskCategories.add(categories.CODING)
+            }
+            if (this.getCustomFieldFromData(customFields.isDocs, rawCard)) {
+                taskCategories.add(categories.DOCS_TRAINING)
+            }
+            if (this.getCustomFieldFromData(customFields.isOutResearch, rawCard)) {
+                taskCategories.add(categories.OUTRESEARCH)
+            }
+            if (this.getCustomFieldFromData(customFields.isQa, rawCard)) {
+                taskCategories.add(categories.QA)
+            }
         }
 
         // Then lets add the category for the list it's in
@@ -262,8 +437,24 @@ class TrelloInterface extends ApiInterface {
      * @return {string[]} The tags on this task
      */
     parseTags(rawCard) {
-        let tagString = this.getCustomFieldFromData(customFields.tags, rawCard);
-        if (tagString !== undefined && tagString !== "") {
+        if (this.labelSettings) {
+            let prefix = this.labelSettings.tagPrefix;
+            return (rawCard.labels || [])
+                .map(label => label.name)
+                .filter(name => name && name.startsWith(prefix) && this.labelToCategory(name) === undefined)
+                .map(name => name.slice(prefix.length).trim())
+                .filter(tag => tag !== "");
+        }
+        return this.tagsFromText(this.getCustomFieldFromData(customFields.tags, rawCard));
+    }
+
+    /**
+     * Convert the value of the tags custom field into the task format
+     * @param tagString {string|undefined} The comma separated tags, or undefined if the field isn't set
+     * @return {string[]} The tags
+     */
+    tagsFromText(tagString) {
+        if (typeof tagString === "string" && tagString !== "") {
             return tagString.split(/,/).map(str => str.trim())
         } else {
             return [];
@@ -341,7 +532,7 @@ class TrelloInterface extends ApiInterface {
             } else if ("checked" in field.value) {
                 return field.value.checked === 'true';
             } else if ("number" in field.value) {
-                parseInt(field.value.number);
+                return parseInt(field.value.number);
             } else if ("text" in field.value) {
                 return field.value.text;
             } else {
@@ -366,6 +557,11 @@ class TrelloInterface extends ApiInterface {
                 return {value: {text: value.toString()}};
             case 'number':
                 return {value: {number: value.toString()}};
+            case 'object':
+                if (value === null) {
+                    return {value: ""}; // Clears the field
+                }
+            // fallthrough for anything other than null
             default:
                 throw  TypeError("Unsupported type for trello custom field: " + typeof value);
         }
@@ -378,7 +574,7 @@ class TrelloInterface extends ApiInterface {
      * @return {RawCustomField} The tags in raw form
      */
     serialiseTags(task) {
-        let tags = task.getField(fields.TAGS);
+        let tags = task.getField(fields.TAGS) || [];
         return {value: {text: tags.join(", ")}};
     }
 
@@ -391,7 +587,7 @@ class TrelloInterface extends ApiInterface {
      */
     serialiseCategories(task) {
         let result = {};
-        let taskCategories = task.getField(fields.CATEGORIES);
+        let taskCategories = task.getField(fields.CATEGORIES) || [];
         result[customFields.isCode] = taskCategories.includes(categories.CODING) ? {value: {checked: "true"}} : {value: ""};
         result[customFields.isQa] = taskCategories.includes(categories.QA) ? {value: {checked: "true"}} : {value: ""};
         result[customFields.isOutResearch] = taskCategories.includes(categories.OUTRESEARCH) ? {value: {checked: "true"}} : {value: ""};
@@ -401,14 +597,56 @@ class TrelloInterface extends ApiInterface {
     }
 
     /**
-     * Converts all the custom fields on a task into their raw form
+     * Convert the categories and tags on a task into the labels that should be on its card
+     *
+     * @param task {Task} The task to get the categories and tags from
+     * @return {{name: string, color: (string|null)}[]} The name of each label, along with the colour to create it with
+     */
+    serialiseLabels(task) {
+        let labels = [];
+        for (let category of task.getField(fields.CATEGORIES) || []) {
+            let name = this.labelSettings.categoryLabels[category];
+            if (name) {
+                labels.push({name: name, color: this.labelSettings.categoryColors[category] || null});
+            }
+        }
+        for (let tag of task.getField(fields.TAGS) || []) {
+            labels.push({name: this.labelSettings.tagPrefix + tag, color: this.labelSettings.tagColor || null});
+        }
+        return labels;
+    }
+
+    /**
+     * @param name {string} The name of a label
+     * @return {number|undefined} The category the label is for, or undefined if it isn't a category label
+     */
+    labelToCategory(name) {
+        let category = Object.keys(this.labelSettings.categoryLabels)
+            .find(key => this.labelSettings.categoryLabels[key] === name);
+        return category !== undefined ? parseInt(category) : undefined;
+    }
+
+    /**
+     * @param name {string} The name of a label
+     * @return {boolean} True if the label is for a category or tag, and so is written by the syncer
+     */
+    isManagedLabel(name) {
+        return this.labelToCategory(name) !== undefined || (!!name && name.startsWith(this.labelSettings.tagPrefix));
+    }
+
+    /**
+     * Converts all the custom fields on a task into their raw form.
+     * When labels are used the categories and tags are left out, as they aren't custom fields
      *
      * @param task {Task} The task to convert
      * @return {Object.<string, RawCustomField>} The custom fields in raw form
      */
     customToRaw(task) {
-        let rawCustom = this.serialiseCategories(task);
-        rawCustom[customFields.tags] = this.serialiseTags(task);
+        let rawCustom = {};
+        if (!this.labelSettings) {
+            rawCustom = this.serialiseCategories(task);
+            rawCustom[customFields.tags] = this.serialiseTags(task);
+        }
         rawCustom[customFields.googleId] = this.getCustomFieldFromTask(fields.GOOGLE_ID, task);
         rawCustom[customFields.days] = this.getCustomFieldFromTask(fields.DAYS, task);
         rawCustom[customFields.isBeginner] = this.getCustomFieldFromTask(fields.IS_BEGINNER, task);
@@ -1,9 +1,9 @@
 const trelloInterface = require("./TrelloInterface");
 const SiteMonitor = require("./SiteMonitor");
 
-const {fields, categories} = require("./Globals");
-const {categoryLists, callbackUrl, boardId, botMemberId, trelloPort} = require("./config.json");
-const {trelloSecret} = require("./tokens.json");
+const {fields, idFields, categories, trelloModes} = require("./Globals");
+const {categoryLists, customFields, callbackUrl, boardId, botMemberId, trelloPort, trelloMode, trelloPollRate} = require("./Config.js").config;
+const {trelloSecret} = require("./Config.js").tokens;
 const catLookup = Object.entries(categoryLists).reduce((ret, entry) => {
     const [key, value] = entry;
     ret[value] = key;
@@ -13,6 +13,57 @@ const catLookup = Object.entries(categoryLists).reduce((ret, entry) => {
 const express = require('express');
 const bodyParser = require('body-parser');
 const requester = require("./TrelloApiRequester.js");
+const journal = require("./AuditJournal.js");
+const metrics = require("./Metrics.js");
+const health = require("./Health.js");
+const dashboard = require("./Dashboard.js");
+const webhookQueue = require("./WebhookQueue.js");
+const googleMonitor = require("./GoogleMonitor.js");
+const echoFilter = require("./EchoFilter.js");
+
+/**
+ * True if the category lists are polled for changes, rather than Trello sending webhooks
+ * @type {boolean}
+ */
+const polling = trelloMode === trelloModes.POLLING;
+
+/**
+ * The ID fields that are stored on Trello. Any others are left alone when polling
+ * @type {string[]}
+ */
+const storedIds = [fields.GOOGLE_ID, fields.TRELLO_ID];
+
+/**
+ * The field each custom field in the config holds, keyed by the ID of the custom field on the board.
+ * The category checkboxes also hold the category they are for.
+ * When the categories and tags are stored as labels their custom fields aren't synced, so are left out
+ * @type {Object.<string, {field: string, category: (number|undefined)}>}
+ */
+const customFieldLookup = [
+    ["isBeginner", fields.IS_BEGINNER],
+    ["days", fields.DAYS],
+    ["instances", fields.MAX_INSTANCES],
+    ["googleId", fields.GOOGLE_ID],
+    ["tags", fields.TAGS],
+    ["isCode", fields.CATEGORIES, categories.CODING],
+    ["isDesign", fields.CATEGORIES, categories.DESIGN],
+    ["isDocs", fields.CATEGORIES, categories.DOCS_TRAINING],
+    ["isQa", fields.CATEGORIES, categories.QA],
+    ["isOutResearch", fields.CATEGORIES, categories.OUTRESEARCH]
+].reduce((ret, entry) => {
+    const [key, field, category] = entry;
+    let labelled = field === fields.TAGS || field === fields.CATEGORIES;
+    if (customFields[key] && !(labelled && trelloInterface.labelSettings)) {
+        ret[customFields[key]] = {field: field, category: category};
+    }
+    return ret;
+}, {});
+
+/**
+ * The action each type of webhook return is recorded as in the journal
+ * @type {Object.<number, string>}
+ */
+const journalActions = {1: "created", 2: "deleted", 3: "updated"};
 
 /**
  *
@@ -51,7 +102,23 @@ const requester = require("./TrelloApiRequester.js");
  *
  */
 class TrelloMonitor extends SiteMonitor {
+    /**
+     * Any other routes to serve alongside the webhooks, such as the task API
+     * @type {express.Router[]}
+     */
+    routers = [];
 
+    /**
+     * The list each card was in when last polled, so that moving a card between lists can be handled as the webhook would
+     * @type {Map<string, string>}
+     */
+    cardLists = new Map();
+
+    /**
+     * True while a poll is running, so that a slow one isn't overlapped by the next
+     * @type {boolean}
+     */
+    pollInProgress = false;
 
     /**
      * Handles a new card being added to the published lists on trello.
@@ -61,13 +128,23 @@ class TrelloMonitor extends SiteMonitor {
      */
     async onCardCreated(card) {
         let rawCard = await requester.getCard(card.id);
+        return this.onCardLoaded(rawCard);
+    }
+
+    /**
+     * Handles a card that has been read from Trello, but isn't a known task
+     *
+     * @param rawCard {RawTrello} The card that was created
+     * @return {WebhookReturn} The task and fields updated
+     */
+    async onCardLoaded(rawCard) {
         let task = this.monitoredList.getOrMakeTask(task => trelloInterface.doesTaskMatchData(task, rawCard));
         task.listCategoryAdded = false;
         trelloInterface.loadIntoTask(rawCard, task);
         if (task.listCategoryAdded) {
             await trelloInterface.propagateCategoryChange(task);
         }
-        console.log(`Card '${card.name}' (${card.id}) created locally`);
+        console.log(`Card '${rawCard.name}' (${rawCard.id}) created locally`);
 
         return [task, 1, []];
     }
@@ -115,60 +192,24 @@ class TrelloMonitor extends SiteMonitor {
     onCustomChanged(customFieldId, customFieldVal, card) {
         let task = this.monitoredList.getTask(task => task.getField(fields.TRELLO_ID) === card.id);
         if (task) {
-            let category = -1;
-            let fieldVal = trelloInterface.customFieldToValue(customFieldVal);
-            let fieldToUpdate;
-            switch (customFieldId.id) {
-                //TODO: make custom field handling globally "better"
-                case "5da6fbfff25f736fcdec8cfb":
-                    fieldToUpdate = fields.IS_BEGINNER;
-                    break;
-                case "5da6fbfff25f736fcdec8cef":
-                    fieldToUpdate = fields.DAYS;
-                    break;
-                case "5da6fbfff25f736fcdec8ced":
-                    fieldToUpdate = fields.TAGS;
-                    break;
-                case "5da6fbfff25f736fcdec8ceb":
-                    fieldToUpdate = fields.MAX_INSTANCES;
-                    break;
-                case "5da6fbfff25f736fcdec8ce8":
-                    fieldToUpdate = fields.GOOGLE_ID;
-                    break;
-
-                case "5da6fbfff25f736fcdec8cf9":
-                    fieldToUpdate = fields.CATEGORIES;
-                    category = categories.CODING;
-                    break;
-                case "5da6fbfff25f736fcdec8cf7":
-                    fieldToUpdate = fields.CATEGORIES;
-                    category = categories.DESIGN;
-                    break;
-                case "5da6fbfff25f736fcdec8cf5":
-                    fieldToUpdate = fields.CATEGORIES;
-                    category = categories.DOCS_TRAINING;
-                    break;
-                case "5da6fbfff25f736fcdec8cf3":
-                    fieldToUpdate = fields.CATEGORIES;
-                    category = categories.QA;
-                    break;
-                case "5da6fbfff25f736fcdec8cf1":
-                    fieldToUpdate = fields.CATEGORIES;
-                    category = categories.OUTRESEARCH;
-                    break;
-                default:
-                    console.error(`Unknown custom field '${customFieldId.name}' (${customFieldId.id}) in webhook`);
-                    return null;
+            let synced = customFieldLookup[customFieldId.id];
+            if (!synced) {
+                console.error(`Unknown custom field '${customFieldId.name}' (${customFieldId.id}) in webhook`);
+                return null;
             }
+            let fieldVal = trelloInterface.customFieldToValue(customFieldVal);
+            let fieldToUpdate = synced.field;
 
             if (fieldToUpdate === fields.CATEGORIES) {
                 if (fieldVal) {
                     // Gaining a new category
-                    task.addCategory(category);
+                    task.addCategory(synced.category);
                 } else {
                     //TODO Stop removing the category for the list the card is in
-                    task.removeCategory(category);
+                    task.removeCategory(synced.category);
                 }
+            } else if (fieldToUpdate === fields.TAGS) {
+                task.setField(fieldToUpdate, trelloInterface.tagsFromText(fieldVal));
             } else {
                 task.setField(fieldToUpdate, fieldVal);
             }
@@ -181,6 +222,37 @@ class TrelloMonitor extends SiteMonitor {
         }
     }
 
+    /**
+     * Handles a label being added to or removed from a card, when the categories and tags are stored as labels.
+     * The card is read again, so that labels changed in quick succession are all picked up.
+     *
+     * @param card {IdNameTuple} The card whose labels changed
+     * @return {WebhookReturn} The task and fields updated
+     */
+    async onLabelsChanged(card) {
+        let task = this.monitoredList.getTask(task => task.getField(fields.TRELLO_ID) === card.id);
+        if (task) {
+            let remote = this.monitoredList.getDefaultTask();
+            remote.listCategoryAdded = false;
+            trelloInterface.loadIntoTask(await requester.getCard(card.id), remote);
+            let alteredFields = googleMonitor.detectDifferences(task, remote)
+                .filter(field => field === fields.CATEGORIES || field === fields.TAGS);
+            for (let alteredField of alteredFields) {
+                task.setField(alteredField, remote.getField(alteredField));
+            }
+            if (remote.listCategoryAdded) {
+                // The label for the list the card is in was removed, so put it back
+                await trelloInterface.propagateCategoryChange(task);
+            }
+
+            console.log(`Card '${card.name}' (${card.id}) labels handled.`);
+            return alteredFields.length !== 0 ? [task, 3, alteredFields] : null;
+        } else {
+            console.error(`Could not match card '${card.id}' (${card.name}) in webhook with any known task`);
+            return null;
+        }
+    }
+
     /**
      *
      * @param oldList {IdNameTuple} The list the card was moved from
@@ -205,23 +277,198 @@ class TrelloMonitor extends SiteMonitor {
         }
     }
 
+    /**
+     * Serve more routes from the web server, alongside the webhooks.
+     * This must be done before monitoring starts
+     *
+     * @param router {express.Router} The routes to serve
+     */
+    addRouter(router) {
+        this.routers.push(router);
+    }
+
+    /**
+     * Handles a card that was polled and differs from the known task
+     *
+     * @param local {Task} The task as it is locally
+     * @param remote {Task} The task as it is on Trello
+     * @param alteredFields {string[]} The fields that differ
+     * @return {WebhookReturn} The task and fields updated
+     */
+    onCardAltered(local, remote, alteredFields) {
+        for (let alteredField of alteredFields) {
+            local.setField(alteredField, remote.getField(alteredField));
+        }
+
+        console.log(`Card '${local.getField(fields.NAME)}' (${local.getField(fields.TRELLO_ID)}) update handled.`);
+        return [local, 3, alteredFields];
+    }
+
     /**
      * @inheritDoc
+     *
+     * Any webhooks that were received but not handled when the syncer last stopped are handled first.
+     * If `trelloMode` is polling then no webhooks are used, and the category lists are read every `trelloPollRate` seconds instead.
      */
     setupMonitoring(taskList) {
-        this._createExpressApp();
-        requester.getTrelloWebhooks().then(this._refreshWebhooks);
         this.monitoredList = taskList;
+        if (polling) {
+            let pollRate = trelloPollRate || 60;
+            health.markTrelloPolling();
+            this._createExpressApp();
+            setInterval(() => {
+                if (this.pollInProgress) {
+                    console.warn("The last poll of Trello is still running, so this one is skipped");
+                    return;
+                }
+                this.pollInProgress = true;
+                this.doPoll()
+                    .then(() => health.recordTrelloPoll())
+                    .catch(reason => {
+                        health.recordTrelloPoll(reason);
+                        console.error(`Polling of Trello failed: ${reason}`);
+                    })
+                    .finally(() => {
+                        this.pollInProgress = false;
+                    });
+            }, pollRate * 1000);
+            console.log(`Setup Trello polling at interval of ${pollRate} second(s)`);
+            return;
+        }
+        webhookQueue.load()
+            .then(() => webhookQueue.start(action => this.processWebhook(action)))
+            .catch(reason => console.error(`Loading the webhook queue failed: ${reason}`));
+        this._createExpressApp();
+        requester.getTrelloWebhooks()
+            .then(this._refreshWebhooks)
+            .then(() => health.markWebhooksRegistered())
+            .catch(reason => console.error(`Registering Trello webhooks failed: ${reason}`));
     }
 
+    /**
+     * Read every card in the category lists, and push anything created, deleted or altered since the last poll
+     * through the same callbacks as the webhooks.
+     *
+     * A card that has moved between lists loses the category of the list it left, as it would with the webhook.
+     *
+     * @return {Promise<void>} A promise that finishes once every card has been compared
+     */
+    async doPoll() {
+        console.log("Beginning polling of Trello");
+
+        // Only tasks that were on Trello before the cards were read can be missing from them
+        let allCards = new Set(this.monitoredList.getTasks()
+            .map(task => task.getField(fields.TRELLO_ID))
+            .filter(id => id));
+        let rawCards = await requester.getAllCards();
+
+        for (let rawCard of rawCards) {
+            let previousList = this.cardLists.get(rawCard.id);
+            this.cardLists.set(rawCard.id, rawCard.idList);
+            try {
+                let task = this.monitoredList.getTask(task => trelloInterface.doesTaskMatchData(task, rawCard));
+                if (task) { // Existing card
+                    allCards.delete(task.getField(fields.TRELLO_ID));
+                    await this._pollCard(task, rawCard, previousList);
+                } else { // Created card
+                    let result = await this.onCardLoaded(rawCard);
+                    journal.recordEvent("trello", journalActions[1], null, result[0], journal.changesBetween(undefined, result[0].fields));
+                    this.callCallbacks(result);
+                }
+            } catch (reason) {
+                console.error(`Polling card '${rawCard.name}' (${rawCard.id}) failed: ${reason}`);
+            }
+        }
+
+        for (let id of allCards) {
+            this.cardLists.delete(id);
+            let task = this.monitoredList.getTask(task => task.getField(fields.TRELLO_ID) === id);
+            if (task) {
+                let result = this.onCardDeleted({id: id, name: task.getField(fields.NAME)});
+                journal.recordEvent("trello", journalActions[2], null, task);
+                this.callCallbacks(result);
+            }
+        }
+        console.log("Finished polling of Trello");
+    }
+
+    /**
+     * Compare a polled card with the known task, and push any changes
+     *
+     * @param task {Task} The task the card matches
+     * @param rawCard {RawTrello} The card as it is now
+     * @param [previousList] {string} The list the card was in when last polled, if it has been
+     * @return {Promise<void>} A promise that finishes once the card is handled
+     * @private
+     */
+    async _pollCard(task, rawCard, previousList) {
+        let remote = this.monitoredList.getDefaultTask();
+        remote.listCategoryAdded = false;
+        trelloInterface.loadIntoTask(rawCard, remote);
+
+        let moved = previousList !== undefined && previousList !== rawCard.idList && catLookup[previousList] !== undefined;
+        if (moved && remote.getField(fields.CATEGORIES).includes(parseInt(catLookup[previousList]))) {
+            remote.removeCategory(parseInt(catLookup[previousList]));
+        }
+
+        let alteredFields = googleMonitor.detectDifferences(task, remote)
+            .filter(field => !idFields.includes(field) || storedIds.includes(field));
+        alteredFields = echoFilter.filterEchoes("trello", task, remote, alteredFields);
+        if (alteredFields.length === 0) {
+            return;
+        }
+
+        journal.recordEvent("trello", journalActions[3], null, task,
+            journal.changesBetween(task.fields, remote.fields, alteredFields));
+        let result = this.onCardAltered(task, remote, alteredFields);
+        if (alteredFields.includes(fields.CATEGORIES) && (moved || remote.listCategoryAdded)) {
+            // Replicate this category change
+            await trelloInterface.propagateCategoryChange(task);
+        }
+        this.callCallbacks(result);
+    }
+
+    /**
+     * Handle a webhook taken from the queue, and push the change to the other services
+     *
+     * @param action {WebhookAction}
+     * @return {Promise<void>} A promise that finishes once the change has been pushed
+     */
+    processWebhook(action) {
+        return Promise.resolve(this.onWebhookActivate(action)) // Handle the webhook
+            .then(args => this.callCallbacks(args)); // Push the updates
+    }
+
+
+    /**
+     * Handle a webhook, and record the change it made in the journal along with the member that made it
+     *
+     * @param body {WebhookAction}
+     *
+     * @return {Promise<WebhookReturn>} The task and fields updated
+     */
+    async onWebhookActivate(body) {
+        let card = body.data.card;
+        let existing = card && this.monitoredList.getTask(task => task.getField(fields.TRELLO_ID) === card.id);
+        let before = existing ? {...existing.fields} : undefined;
+
+        let result = await this._handleWebhook(body);
+        if (result && result[0]) {
+            let [task, type] = result;
+            let changes = type === 2 ? [] : journal.changesBetween(before, task.fields);
+            journal.recordEvent("trello", journalActions[type], body.idMemberCreator, task, changes);
+        }
+        return result;
+    }
 
     /**
      *
      * @param body {WebhookAction}
      *
      * @return {WebhookReturn} The task and fields updated
+     * @private
      */
-    onWebhookActivate(body) {
+    _handleWebhook(body) {
         let actionType = body.display.translationKey;
 
         switch (actionType) {
@@ -230,6 +477,13 @@ class TrelloMonitor extends SiteMonitor {
                 return this.onMainChanged(body.data.card);
             case "action_update_custom_field_item":
                 return this.onCustomChanged(body.data.customField, body.data.customFieldItem, body.data.card);
+            case "action_add_label_to_card":
+            case "action_remove_label_from_card":
+                if (trelloInterface.labelSettings) {
+                    return this.onLabelsChanged(body.data.card);
+                }
+                console.error("Irrelevant webhook trigger");
+                return null;
             case "action_create_card":
                 return this.onCardCreated(body.data.card);
             case "action_archived_card":
@@ -293,47 +547,49 @@ class TrelloMonitor extends SiteMonitor {
     /**
      * Invokes the callbacks and then logs a message
      * @param args {WebhookReturn}
+     * @return {Promise<void>} A promise that finishes once the callbacks have
      */
     callCallbacks(args) {
         if (args) {
             let [task, type, alteredFields] = args;
             switch (type) {
                 case 1:
-                    this.createdCallback(task)
-                        .then(() => console.log(`Creation of ${task.getField(fields.NAME)} duplicated to google`));
-                    break;
+                    return this.createdCallback(task)
+                        .then(() => console.log(`Creation of ${task.getField(fields.NAME)} duplicated to other services`));
                 case 2:
-                    this.deletedCallback(task)
-                        .then(() => console.log(`Deletion of ${task.getField(fields.NAME)} duplicated to google`));
-                    break;
+                    return this.deletedCallback(task)
+                        .then(() => console.log(`Deletion of ${task.getField(fields.NAME)} held back from other services`));
                 case 3:
-                    this.alteredCallback(task, alteredFields)
-                        .then(() => console.log(`Alteration of ${task.getField(fields.NAME)} duplicated to google`));
-                    break;
+                    return this.alteredCallback(task, alteredFields)
+                        .then(() => console.log(`Alteration of ${task.getField(fields.NAME)} duplicated to other services`));
             }
         }
+        return Promise.resolve();
     }
 
     /**
-     * Starts an express server to listen for webhooks on port 3000
+     * Listen for the webhooks sent by Trello
      *
+     * @param app {express.Application} The app to add the routes to
      * @private
      */
-    _createExpressApp() {
-        /* Create the app to listen with */
-        const app = express();
-        app.use(bodyParser.json());
-
-        /* Listen and respond to webhooks */
+    _addWebhookRoutes(app) {
+        /* Listen and respond to webhooks. Each is only acknowledged once it is saved, so that Trello sends it again otherwise */
         app.post('/trelloWebhook/', (req, res) => {
             res.set('Content-Type', 'text/plain');
             //todo: improve?
             if (verifyTrelloWebhookRequest(req, trelloSecret, callbackUrl)) {
-                res.send("Webhook received");
-                if (req.body.action.idMemberCreator !== botMemberId) {
-                    Promise.resolve(this.onWebhookActivate(req.body.action)) // Handle the webhook
-                        .then(args => this.callCallbacks(args));  // Push the updates
+                health.recordWebhook();
+                metrics.increment("tasksyncer_webhook_events_total", {translation_key: req.body.action.display.translationKey});
+                if (req.body.action.idMemberCreator === botMemberId) {
+                    return res.send("Webhook received");
                 }
+                webhookQueue.add(req.body.action)
+                    .then(added => res.send(added ? "Webhook received" : "Webhook already received"))
+                    .catch(reason => {
+                        console.error(`Saving webhook action '${req.body.action.id}' failed: ${reason}`);
+                        res.status(500).send("Webhook could not be saved");
+                    });
             } else {
                 res.send("Access Denied");
             }
@@ -345,6 +601,51 @@ class TrelloMonitor extends SiteMonitor {
             res.set('Content-Type', 'text/plain');
             res.send("Get received.");
         });
+    }
+
+    /**
+     * Starts an express server to listen for webhooks on port 3000.
+     * When polling Trello the webhook routes are left out, but everything else is still served
+     *
+     * @private
+     */
+    _createExpressApp() {
+        /* Create the app to listen with */
+        const app = express();
+        app.use(bodyParser.json());
+        if (!polling) {
+            this._addWebhookRoutes(app);
+        }
+
+        /* Expose the metrics for Prometheus to scrape */
+        app.get("/metrics", (req, res) => {
+            res.set('Content-Type', 'text/plain; version=0.0.4');
+            res.send(metrics.render());
+        });
+
+        /* Let a process supervisor check on the syncer. Both answer 503 when not ready or not healthy */
+        app.get("/readyz", (req, res) => {
+            let readiness = health.getReadiness();
+            res.status(readiness.ready ? 200 : 503).json(readiness);
+        });
+        app.get("/healthz", (req, res) => {
+            let report = health.getHealth();
+            res.status(report.healthy ? 200 : 503).json(Object.assign({status: report.healthy ? "ok" : "degraded"}, report));
+        });
+
+        /* Show every task being synced, for anyone wanting to check on one */
+        app.get("/dashboard", (req, res) => {
+            dashboard.render(this.monitoredList, req.query)
+                .then(page => res.type("html").send(page))
+                .catch(reason => {
+                    console.error(`Rendering the dashboard failed: ${reason}`);
+                    res.status(500).type("text").send("Could not render the dashboard");
+                });
+        });
+
+        for (let router of this.routers) {
+            app.use(router);
+        }
 
         /* Start the app */
         app.listen(trelloPort, err => {
@@ -0,0 +1,255 @@
+const fs = require("fs");
+const {webhookQueuePath} = require("./Config.js").config;
+
+/**
+ * How many handled actions are remembered, so that Trello sending one again is spotted
+ * @type {number}
+ */
+const rememberedActions = 1000;
+
+/**
+ * The key used for actions that aren't about a single card, which are handled in order with each other
+ * @type {string}
+ */
+const boardKey = "board";
+
+/**
+ * How long to wait, in seconds, before handling an action that failed again.
+ * This doubles after each failure, up to `maxRetryDelay`
+ * @type {number}
+ */
+const retryDelay = 5;
+const maxRetryDelay = 300;
+
+/**
+ * How many times an action is tried before it is left in the queue until monitoring next starts,
+ * so that one that keeps failing doesn't hold up every later action for its card
+ * @type {number}
+ */
+const maxAttempts = 8;
+
+/**
+ * A webhook action that has been received but not yet handled
+ *
+ * @typedef {{
+ *      id: string
+ *      card: string
+ *      received: string
+ *      action: WebhookAction
+ * }} QueuedWebhook
+ */
+
+/**
+ * A persisted queue of Trello webhook actions waiting to be handled.
+ *
+ * Trello sends an action again if it isn't answered in time, so each action is only handled once, going by its ID.
+ * Actions for the same card are handled one at a time in the order they arrived, so that a rename can't race
+ * a custom field update on the same card. Actions for different cards are still handled alongside each other.
+ *
+ * Each action is saved before it is acknowledged, and only removed once it has been handled and pushed to the other services.
+ * An action that fails is tried again after a delay, and one that keeps failing stays in the queue.
+ * Anything still in the queue when the syncer stops is handled again once monitoring next starts.
+ * The queue is stored as JSON on the local disk, at the path given by `webhookQueuePath` in the config.
+ */
+class WebhookQueue {
+    constructor(filePath) {
+        this.filePath = filePath;
+        /**
+         * The actions received but not yet handled, in the order they arrived
+         * @type {QueuedWebhook[]}
+         */
+        this.pending = [];
+        /**
+         * The ID's of the most recently handled actions, oldest first
+         * @type {string[]}
+         */
+        this.handled = [];
+        /**
+         * The last action queued for each card, so that the next waits for it
+         * @type {Map<string, Promise<void>>}
+         */
+        this.chains = new Map();
+        /**
+         * The actions already scheduled, so that one added while the queue is starting isn't handled twice
+         * @type {WeakSet<QueuedWebhook>}
+         */
+        this.scheduled = new WeakSet();
+        /**
+         * Handles a single action, or undefined until {@link WebhookQueue#start} is called
+         * @type {function(WebhookAction): Promise<void>|undefined}
+         */
+        this.handler = undefined;
+        this.loaded = Promise.resolve();
+        this.lastSave = Promise.resolve();
+    }
+
+    /**
+     * Load the queue from the disk, replacing anything currently held.
+     * If there is no queue on the disk then it will simply be empty.
+     *
+     * @return {Promise<WebhookQueue>} A promise that finishes when the queue is loaded
+     */
+    load() {
+        this.loaded = this._read()
+            .then(state => {
+                this.pending = state.pending;
+                this.handled = state.handled;
+            });
+        return this.loaded.then(() => this);
+    }
+
+    /**
+     * Start handling actions, beginning with any left over from the last time the syncer ran
+     *
+     * @param handler {function(WebhookAction): Promise<void>} Handles a single action,
+     *      finishing once it has been pushed to the other services
+     */
+    start(handler) {
+        this.handler = handler;
+        if (this.pending.length !== 0) {
+            console.log(`Handling ${this.pending.length} webhook(s) left over from the last run`);
+        }
+        for (let queued of this.pending) {
+            this._schedule(queued);
+        }
+    }
+
+    /**
+     * Add an action to the queue and save it, unless it has already been received
+     *
+     * @param action {WebhookAction} The action sent by Trello
+     * @return {Promise<boolean>} A promise that finishes once the action is saved, containing false if it was already received
+     */
+    add(action) {
+        return this.loaded.then(() => {
+            if (action.id && this.isKnown(action.id)) {
+                console.log(`Webhook action '${action.id}' was already received, so is ignored`);
+                return false;
+            }
+            let card = action.data && action.data.card;
+            let queued = {
+                id: action.id,
+                card: card ? card.id : boardKey,
+                received: new Date().toISOString(),
+                action: action
+            };
+            this.pending.push(queued);
+            return this.save().then(() => {
+                if (this.handler) {
+                    this._schedule(queued);
+                }
+                return true;
+            });
+        });
+    }
+
+    /**
+     * @param id {string} The ID of an action
+     * @return {boolean} True if the action is waiting to be handled, or was recently handled
+     */
+    isKnown(id) {
+        return this.handled.includes(id) || this.pending.some(queued => queued.id === id);
+    }
+
+    /**
+     * Write the queue to the disk, in the same way as the sync state
+     *
+     * @return {Promise<void>} A promise that finishes when the queue has been written
+     */
+    save() {
+        const data = JSON.stringify({pending: this.pending, handled: this.handled}, null, 2);
+        const tempPath = `${this.filePath}.tmp`;
+        this.lastSave = this.lastSave
+            .catch(() => undefined) // A failed save should not block later ones
+            .then(() => fs.promises.writeFile(tempPath, data, "utf8"))
+            .then(() => fs.promises.rename(tempPath, this.filePath));
+        return this.lastSave;
+    }
+
+    /**
+     * Handle an action once every earlier action for the same card has been handled
+     *
+     * @param queued {QueuedWebhook}
+     * @private
+     */
+    _schedule(queued) {
+        if (this.scheduled.has(queued)) {
+            return;
+        }
+        this.scheduled.add(queued);
+        let previous = this.chains.get(queued.card) || Promise.resolve();
+        let next = previous
+            .then(() => this._handle(queued, 1))
+            .catch(reason => console.error(`Saving the webhook queue failed: ${reason}`));
+        this.chains.set(queued.card, next);
+        next.then(() => {
+            if (this.chains.get(queued.card) === next) { // Nothing else is waiting on the card
+                this.chains.delete(queued.card);
+            }
+        });
+    }
+
+    /**
+     * Handle an action, trying again after a delay if that fails.
+     * Once it has failed `maxAttempts` times it is left in the queue, but not waited on any longer
+     *
+     * @param queued {QueuedWebhook}
+     * @param attempt {number} Which attempt this is, starting from 1
+     * @return {Promise<void>} A promise that finishes once the action is handled, or given up on for now
+     * @private
+     */
+    _handle(queued, attempt) {
+        return Promise.resolve()
+            .then(() => this.handler(queued.action))
+            .then(() => this._finish(queued), reason => {
+                const failure = `Handling webhook action '${queued.id}' for card '${queued.card}' failed: ${reason}`;
+                if (attempt >= maxAttempts) {
+                    console.error(`${failure}. It has failed ${attempt} times, so is left until monitoring next starts`);
+                    return;
+                }
+                let delay = Math.min(maxRetryDelay, retryDelay * Math.pow(2, attempt - 1));
+                console.error(`${failure}. Trying again in ${delay} second(s)`);
+                return Promise.delay(delay * 1000).then(() => this._handle(queued, attempt + 1));
+            });
+    }
+
+    /**
+     * Remove a handled action from the queue, remembering its ID, and save that to the disk
+     *
+     * @param queued {QueuedWebhook}
+     * @return {Promise<void>} A promise that finishes when the queue has been written
+     * @private
+     */
+    _finish(queued) {
+        this.pending = this.pending.filter(other => other !== queued);
+        if (queued.id) {
+            this.handled.push(queued.id);
+            this.handled = this.handled.slice(-rememberedActions);
+        }
+        return this.save();
+    }
+
+    /**
+     * Read the queue from the disk, after any save in progress has finished
+     *
+     * @return {Promise<{pending: QueuedWebhook[], handled: string[]}>}
+     * @private
+     */
+    _read() {
+        return Promise.resolve(this.lastSave)
+            .catch(() => undefined)
+            .then(() => fs.promises.readFile(this.filePath, "utf8"))
+            .then(contents => {
+                let state = JSON.parse(contents);
+                return {pending: state.pending || [], handled: state.handled || []};
+            })
+            .catch(reason => {
+                if (reason.code === "ENOENT") {
+                    return {pending: [], handled: []};
+                }
+                throw reason;
+            });
+    }
+}
+
+module.exports = new WebhookQueue(webhookQueuePath || "webhookQueue.json");
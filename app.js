@@ -1,15 +1,15 @@
 "use strict";
 global.Promise = require("bluebird"); // Globally use bluebird for promises
 
-const taskSyncer = require("./TaskSyncer.js");
+const commandLine = require("./CommandLine.js");
 
-// Treats google as the source of truth.
-taskSyncer.loadFromGoogle() // Load from google
-    .then(() => taskSyncer.loadFromTrello()) // Overwrite from trello
-    .then(() => taskSyncer.writeToGoogle()) // Push to google
-    .then(() => taskSyncer.writeToTrello()) // Push to trello
-    .then(() => taskSyncer.monitorTrello()) // Monitor trello for changes
-    .then(() => taskSyncer.monitorGoogle()); // Monitor google for changes
+// Run the command given, see `node app.js --help` for the commands available
+commandLine.run(process.argv.slice(2))
+    .then(exitCode => {
+        if (exitCode !== null) { // Otherwise the command carries on in the background
+            process.exit(exitCode);
+        }
+    });
 
 // newTaskList.loadUsingInterface(trelloInterface)
 //     .then(() => trelloMonitor.setupMonitoring(newTaskList));